@@ -0,0 +1,110 @@
+// conversationMemory.js
+// Rolling conversation memory: keeps a bounded window of recent verbatim turns
+// and folds older turns into a running summary instead of dropping them.
+
+const MAX_VERBATIM_TURNS = Number(process.env.MEMORY_MAX_TURNS) || 20;
+const KEEP_VERBATIM_TURNS = Number(process.env.MEMORY_KEEP_TURNS) || 10;
+const MAX_SUMMARY_CHARS = 4000;
+
+const SUMMARY_INSTRUCTION = `
+You maintain the long-term memory of Praxis, a voice tutor, for one tutoring session.
+Merge the previous summary with the new conversation turns into ONE updated summary.
+
+Keep:
+- Topics and concepts already taught, and the examples/analogies used.
+- What the student found difficult or got wrong, and quiz results.
+- Student preferences (pace, level, language) and open questions or promised follow-ups.
+
+Rules:
+- Plain text, short bullet points starting with "- ", at most 200 words.
+- Write in third person ("The student...", "Praxis explained...").
+- Do NOT include greetings, filler, links or quiz JSON.
+`;
+
+function formatTurns(turns) {
+  return turns
+    .map((t) => `${t.role === "assistant" ? "Praxis" : "Student"}: ${t.text}`)
+    .join("\n");
+}
+
+/**
+ * Build the user prompt for the summarizer model call.
+ */
+function buildSummaryPrompt(previousSummary, turns) {
+  return `[PREVIOUS SUMMARY]
+${previousSummary || "(none yet)"}
+
+[NEW TURNS TO FOLD IN]
+${formatTurns(turns)}
+
+Write the updated summary now.`;
+}
+
+/**
+ * Append the running summary to a system instruction.
+ */
+function withConversationSummary(systemInstruction, summary) {
+  if (!summary) return systemInstruction;
+  return `${systemInstruction}
+
+[CONVERSATION SUMMARY] (earlier in this session; use it for continuity, do not repeat it verbatim)
+${summary}`;
+}
+
+/**
+ * Create a memory manager.
+ *
+ * @param {object} opts
+ * @param {function} opts.summarize  async ({ systemInstruction, prompt }) => string
+ * @param {number} [opts.maxTurns]   compact once history grows beyond this
+ * @param {number} [opts.keepTurns]  verbatim turns left after compacting
+ */
+function createMemoryManager({
+  summarize,
+  maxTurns = MAX_VERBATIM_TURNS,
+  keepTurns = KEEP_VERBATIM_TURNS,
+}) {
+  return {
+    needsCompaction(history) {
+      return Array.isArray(history) && history.length > maxTurns;
+    },
+
+    /**
+     * Fold the oldest turns into the summary.
+     * Returns { summary, evictedCount } or null if nothing had to be evicted.
+     * The caller drops the first `evictedCount` turns from its history.
+     */
+    async compact(history, previousSummary) {
+      if (!this.needsCompaction(history)) return null;
+
+      let evictedCount = history.length - keepTurns;
+      // keep the verbatim window starting on a student turn
+      while (
+        evictedCount < history.length &&
+        history[evictedCount].role !== "user"
+      ) {
+        evictedCount += 1;
+      }
+
+      const evicted = history.slice(0, evictedCount);
+      const summary = String(
+        (await summarize({
+          systemInstruction: SUMMARY_INSTRUCTION,
+          prompt: buildSummaryPrompt(previousSummary, evicted),
+        })) || ""
+      )
+        .trim()
+        .slice(0, MAX_SUMMARY_CHARS);
+
+      if (!summary) throw new Error("Summarizer returned an empty summary.");
+      return { summary, evictedCount };
+    },
+  };
+}
+
+module.exports = {
+  createMemoryManager,
+  withConversationSummary,
+  buildSummaryPrompt,
+  SUMMARY_INSTRUCTION,
+};
@@ -0,0 +1,259 @@
+// courseRetrieval.js
+// Local BM25 retrieval over a student's own curriculum: course topics and lesson
+// descriptions from the Pluralcode enrollment payload, plus instructor-uploaded
+// notes. The best snippets for a question are added to the prompt so answers
+// follow how the academy teaches each topic (order, terminology, examples).
+
+const { sanitizePromptText } = require("./promptGuard");
+
+const MAX_DOC_CHARS = 2000;
+const NOTE_CHUNK_CHARS = 800;
+const SNIPPET_CHARS = 500;
+
+// Keys naming a node in the course tree, and keys holding its teaching content.
+const TITLE_KEYS = [
+  "topic",
+  "topic_name",
+  "lesson",
+  "lesson_name",
+  "module",
+  "module_name",
+  "chapter",
+  "section",
+  "unit",
+  "title",
+  "name",
+  "label",
+];
+const CONTENT_KEYS = new Set([
+  "description",
+  "summary",
+  "content",
+  "overview",
+  "objectives",
+  "learning_objectives",
+  "learning_outcomes",
+  "outcomes",
+  "notes",
+  "details",
+  "body",
+]);
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can could do does for from how i in into is it its " +
+    "me my of on or so that the their them then there these this to was what when where " +
+    "which who why will with would you your please explain tell about"
+  ).split(" ")
+);
+
+// Light suffix stripping so "joins"/"joining"/"joined" meet.
+function stem(word) {
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("es") && !word.endsWith("ses")) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter((w) => w && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+/**
+ * Flatten the enrollment payload into lesson documents, in syllabus order.
+ * Each node with a title or teaching content becomes one document.
+ *
+ * @returns {Array<{ id, kind, courseName, path: string[], position, title, text }>}
+ */
+function extractCourseDocuments(payload) {
+  const docs = [];
+  const enrolled = Array.isArray(payload?.enrolled_courses) ? payload.enrolled_courses : [];
+
+  function walk(node, courseName, path) {
+    if (Array.isArray(node)) {
+      for (const child of node) walk(child, courseName, path);
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+
+    const titleKey = TITLE_KEYS.find((k) => typeof node[k] === "string" && node[k].trim());
+    const title = titleKey ? sanitizePromptText(node[titleKey]) : "";
+    const content = Object.entries(node)
+      .filter(([k, v]) => CONTENT_KEYS.has(k.toLowerCase()) && typeof v === "string")
+      .map(([, v]) => sanitizePromptText(v, MAX_DOC_CHARS))
+      .filter(Boolean)
+      .join(" ");
+
+    const here = title ? [...path, title] : path;
+    if (title || content) {
+      docs.push({
+        id: `lesson:${docs.length}`,
+        kind: "lesson",
+        courseName,
+        path: here,
+        position: docs.length,
+        title: title || here[here.length - 1] || courseName,
+        text: content.slice(0, MAX_DOC_CHARS),
+      });
+    }
+
+    for (const [k, v] of Object.entries(node)) {
+      if (k === titleKey || CONTENT_KEYS.has(k.toLowerCase())) continue;
+      if (v && typeof v === "object") walk(v, courseName, here);
+    }
+  }
+
+  for (const course of enrolled) {
+    const courseName = sanitizePromptText(
+      course.coursename || course.course_name || course.name || course.title
+    );
+    if (!courseName) continue;
+    walk(course.course_topics || course.topics || course.modules || [], courseName, [
+      courseName,
+    ]);
+  }
+
+  return docs;
+}
+
+/**
+ * Split an instructor note into paragraph-aligned chunks of ~NOTE_CHUNK_CHARS.
+ */
+function noteToDocuments(note) {
+  const paragraphs = String(note.text || "")
+    .split(/\n\s*\n/)
+    .map((p) => sanitizePromptText(p, MAX_DOC_CHARS))
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = "";
+  for (const p of paragraphs) {
+    if (current && current.length + p.length > NOTE_CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current} ${p}` : p;
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map((text, i) => ({
+    id: `note:${note.noteId}:${i}`,
+    kind: "note",
+    courseName: note.courseName,
+    path: [note.courseName, note.title || "Instructor notes"],
+    title: note.title || "Instructor notes",
+    text: text.slice(0, MAX_DOC_CHARS),
+  }));
+}
+
+/**
+ * Okapi BM25 over a fixed set of documents.
+ */
+function createBm25Index(docs, { k1 = 1.2, b = 0.75 } = {}) {
+  const indexed = docs.map((doc) => {
+    // titles and their parents count twice: they name what the lesson is about
+    const tokens = [...tokenize(doc.path.join(" ")), ...tokenize(doc.title), ...tokenize(doc.text)];
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { doc, tf, length: tokens.length };
+  });
+
+  const df = new Map();
+  for (const { tf } of indexed) {
+    for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = indexed.length;
+  const avgLength = indexed.reduce((sum, d) => sum + d.length, 0) / (n || 1);
+
+  const idf = (term) => {
+    const f = df.get(term) || 0;
+    return Math.log(1 + (n - f + 0.5) / (f + 0.5));
+  };
+
+  return {
+    size: n,
+
+    /**
+     * @returns {Array<{ doc, score }>} best first
+     */
+    search(query, { limit = 3, minScore = 0 } = {}) {
+      const terms = Array.from(new Set(tokenize(query)));
+      if (!terms.length || !n) return [];
+
+      return indexed
+        .map(({ doc, tf, length }) => {
+          let score = 0;
+          for (const term of terms) {
+            const f = tf.get(term);
+            if (!f) continue;
+            score +=
+              (idf(term) * f * (k1 + 1)) / (f + k1 * (1 - b + (b * length) / (avgLength || 1)));
+          }
+          return { doc, score };
+        })
+        .filter((r) => r.score > minScore)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+/**
+ * Retriever for one student: their lesson documents plus notes for their courses.
+ */
+function createCourseRetriever({ lessons = [], notes = [] } = {}) {
+  const lessonCount = lessons.length;
+  const index = createBm25Index([...lessons, ...notes.flatMap(noteToDocuments)]);
+
+  return {
+    size: index.size,
+
+    search(query, opts) {
+      return index.search(query, opts).map(({ doc, score }) => ({
+        ...doc,
+        score: Math.round(score * 100) / 100,
+        ...(doc.kind === "lesson" && { lessonNumber: doc.position + 1, lessonCount }),
+      }));
+    },
+  };
+}
+
+/**
+ * Prompt block with the retrieved snippets (empty string if nothing matched).
+ */
+function buildCourseMaterialContext(results) {
+  if (!results.length) return "";
+
+  const blocks = results.map((r, i) => {
+    const where =
+      r.kind === "lesson"
+        ? `lesson ${r.lessonNumber} of ${r.lessonCount} in the syllabus`
+        : "instructor notes";
+    // lesson text and notes are upstream data, never instructions
+    const text = sanitizePromptText(r.text, SNIPPET_CHARS);
+    const title = r.path.map((p) => sanitizePromptText(p)).join(" › ");
+    return `${i + 1}. ${title} (${where})${text ? `\n   ${text}` : ""}`;
+  });
+
+  return `[COURSE MATERIAL] (from the student's own curriculum, most relevant first)
+Use these to match how the academy teaches this topic: its order, terminology and examples.
+If the student asks about something covered in a later lesson, you may mention where it comes up.
+Do not read these notes out verbatim or mention that you were given them.
+<course_data>
+${blocks.join("\n")}
+</course_data>`;
+}
+
+module.exports = {
+  tokenize,
+  extractCourseDocuments,
+  noteToDocuments,
+  createBm25Index,
+  createCourseRetriever,
+  buildCourseMaterialContext,
+};
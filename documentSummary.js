@@ -0,0 +1,524 @@
+// documentSummary.js
+// Files students upload for help with an assignment or dataset: .csv, .xlsx,
+// .ipynb and .sql. The tutor never sees the raw file, only a compact text summary
+// built here:
+//
+//   csv    delimiter, row count, column headers with inferred types, sample rows
+//   xlsx   per sheet: row count, headers, sample rows, formula and error cells
+//   ipynb  language, cell outline (markdown headings, code excerpts) and every
+//          error output with its exception and message
+//   sql    statement count and the query text
+//
+// Summaries are attached to the tutoring session (see server.js) and wrapped in
+// <student_file> tags in the system instruction.
+//
+// ENV:
+//   DOCUMENT_MAX_BYTES=5242880   (upload size limit, default 5 MB)
+
+const path = require("path");
+const zlib = require("zlib");
+const { sanitizePromptText } = require("./promptGuard");
+
+const MAX_DOCUMENT_BYTES = Number(process.env.DOCUMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const DOCUMENT_KINDS = ["csv", "xlsx", "ipynb", "sql"];
+
+const MAX_SUMMARY_CHARS = 3000;
+const SAMPLE_ROWS = 5;
+const MAX_COLUMNS = 30;
+const MAX_CELL_CHARS = 40;
+const MAX_SHEETS = 3;
+const MAX_NOTEBOOK_CELLS = 25;
+const MAX_CODE_LINES = 6;
+// zip entries are inflated whole, so cap what one entry and one workbook may expand to
+const MAX_XLSX_ENTRY_BYTES = 40 * 1024 * 1024;
+const MAX_XLSX_TOTAL_BYTES = 64 * 1024 * 1024;
+
+const DATA_URL_RE = /^data:[\w/+.-]*;base64,(.*)$/s;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const documentError = (status, message) => Object.assign(new Error(message), { status });
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+const cell = (value) =>
+  clip(String(value == null ? "" : value).replace(/\s+/g, " ").trim(), MAX_CELL_CHARS);
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/**
+ * Validate an upload and decode it.
+ * Errors carry an HTTP-style `status` (400 malformed, 413 too large, 415 wrong type).
+ *
+ * @param {object} file  { name, data } where data is base64 or a data: URL
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes]
+ * @returns {{ name: string, kind: string, buf: Buffer }}
+ */
+function parseDocumentUpload(file, { maxBytes = MAX_DOCUMENT_BYTES } = {}) {
+  const name = String((file && file.name) || "").replace(/[\u0000-\u001f]+/g, " ").trim();
+  const kind = path.extname(name).slice(1).toLowerCase();
+  if (!name) throw documentError(400, "File name is missing.");
+  if (!DOCUMENT_KINDS.includes(kind)) {
+    const allowed = DOCUMENT_KINDS.map((k) => `.${k}`);
+    throw documentError(
+      415,
+      `Unsupported file type. Upload a ${allowed.slice(0, -1).join(", ")} or ${allowed.at(-1)} file.`
+    );
+  }
+
+  let data = typeof file.data === "string" ? file.data.trim() : "";
+  const dataUrl = DATA_URL_RE.exec(data);
+  if (dataUrl) data = dataUrl[1];
+  data = data.replace(/\s+/g, "");
+  if (!data) throw documentError(400, "File data is missing.");
+
+  if (Math.floor((data.length * 3) / 4) - data.match(/=*$/)[0].length > maxBytes) {
+    throw documentError(413, `File is too large (max ${+(maxBytes / 1024 / 1024).toFixed(1)} MB).`);
+  }
+  if (!BASE64_RE.test(data)) throw documentError(400, "File data must be base64.");
+
+  return { name: name.slice(0, 120), kind, buf: Buffer.from(data, "base64") };
+}
+
+// -----------------------------------------------------------------------------
+// Tables (CSV and worksheets)
+// -----------------------------------------------------------------------------
+
+const NUMBER_RE = /^[-+]?[$€£₦]?\d[\d,]*(\.\d+)?%?$|^[-+]?\.\d+$/;
+const DATE_RE =
+  /^\d{4}-\d{1,2}-\d{1,2}([ T]\d{1,2}:\d{2}(:\d{2})?)?$|^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/;
+
+function inferColumnType(values) {
+  const filled = values.filter((v) => v !== "" && v != null).map(String);
+  if (!filled.length) return "empty";
+  if (filled.every((v) => NUMBER_RE.test(v.trim()))) return "number";
+  if (filled.every((v) => DATE_RE.test(v.trim()))) return "date";
+  return "text";
+}
+
+/**
+ * Header line with types, then sample rows, as compact text lines.
+ */
+function describeTable(rows, totalRows) {
+  const [header = [], ...body] = rows;
+  const width = Math.min(Math.max(header.length, ...body.map((r) => r.length)), MAX_COLUMNS);
+  const lines = [];
+
+  const columns = [];
+  for (let i = 0; i < width; i++) {
+    const values = body.map((r) => r[i]);
+    const empty = values.filter((v) => v === "" || v == null).length;
+    const name = cell(header[i]) || `(column ${i + 1})`;
+    const note = empty ? `, ${empty} empty in sample` : "";
+    columns.push(`${name} [${inferColumnType(values)}${note}]`);
+  }
+  const hidden = Math.max(header.length, ...body.map((r) => r.length)) - width;
+  if (hidden > 0) columns.push(`…${hidden} more`);
+  lines.push(`Columns (${width + Math.max(hidden, 0)}): ${columns.join(" | ")}`);
+  lines.push(`Data rows: ${Math.max(totalRows - 1, 0)}`);
+
+  const sample = body.slice(0, SAMPLE_ROWS);
+  if (sample.length) {
+    lines.push(`First ${sample.length} rows:`);
+    for (const r of sample) lines.push(`  ${r.slice(0, width).map(cell).join(" | ")}`);
+  }
+  return lines;
+}
+
+// RFC 4180-style: quoted fields may hold delimiters, doubled quotes and newlines.
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [",", ";", "\t", "|"];
+  const counts = candidates.map((d) => firstLine.split(d).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? candidates[best] : ",";
+}
+
+function summarizeCsv(buf) {
+  const text = buf.toString("utf8").replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+  const rows = parseCsv(text, delimiter);
+  if (!rows.length) return ["The file is empty."];
+
+  const label = { ",": "comma", ";": "semicolon", "\t": "tab", "|": "pipe" }[delimiter];
+  return [`CSV, ${label}-separated.`, ...describeTable(rows, rows.length)];
+}
+
+// -----------------------------------------------------------------------------
+// Excel workbooks (.xlsx is a zip of XML parts)
+// -----------------------------------------------------------------------------
+
+/**
+ * Open a zip archive (stored or deflated entries). Entries are only inflated when
+ * read, and all reads together may expand to at most `maxTotalBytes`.
+ *
+ * @param {Buffer} buf
+ * @param {object} [opts]
+ * @param {number} [opts.maxEntryBytes]
+ * @param {number} [opts.maxTotalBytes]
+ * @returns {{ has: function(string): boolean, read: function(string): (Buffer|null) }}
+ */
+function openZip(
+  buf,
+  { maxEntryBytes = MAX_XLSX_ENTRY_BYTES, maxTotalBytes = MAX_XLSX_TOTAL_BYTES } = {}
+) {
+  // end of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("not a zip archive");
+
+  // name → { method, compressedSize, localOffset }
+  const directory = new Map();
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("corrupt zip directory");
+    const nameLength = buf.readUInt16LE(p + 28);
+    const extraLength = buf.readUInt16LE(p + 30);
+    const commentLength = buf.readUInt16LE(p + 32);
+    directory.set(buf.toString("utf8", p + 46, p + 46 + nameLength), {
+      method: buf.readUInt16LE(p + 10),
+      compressedSize: buf.readUInt32LE(p + 20),
+      localOffset: buf.readUInt32LE(p + 42),
+    });
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+
+  let inflated = 0;
+  const tooLarge = () =>
+    new Error(`the workbook expands to more than ${maxTotalBytes / (1024 * 1024)} MB`);
+
+  return {
+    has: (name) => directory.has(name),
+
+    read(name) {
+      const entry = directory.get(name);
+      if (!entry) return null;
+      const { method, compressedSize, localOffset } = entry;
+      const start =
+        localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+      const raw = buf.subarray(start, start + compressedSize);
+
+      const budget = Math.min(maxEntryBytes, maxTotalBytes - inflated);
+      if (budget <= 0) throw tooLarge();
+      let data;
+      if (method === 0) data = raw;
+      else if (method === 8) {
+        try {
+          data = zlib.inflateRawSync(raw, { maxOutputLength: budget });
+        } catch (err) {
+          if (err instanceof RangeError) throw tooLarge();
+          throw err;
+        }
+      } else throw new Error(`unsupported zip compression (${method})`);
+      if (data.length > budget) throw tooLarge();
+
+      inflated += data.length;
+      return data;
+    },
+  };
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return XML_ENTITIES[e] || m;
+  });
+}
+
+const attr = (attrs, name) => {
+  const m = new RegExp(`\\b${name}="([^"]*)"`).exec(attrs);
+  return m ? decodeXml(m[1]) : null;
+};
+
+const textRuns = (xml) =>
+  Array.from(xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), (m) => decodeXml(m[1])).join("");
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || "");
+  if (!letters) return null;
+  return letters[0].split("").reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function readSheet(xml, sharedStrings) {
+  const rows = [];
+  let formulas = 0;
+  const errors = [];
+  let rowCount = 0;
+
+  for (const rowMatch of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    rowCount += 1;
+    const keep = rows.length <= SAMPLE_ROWS;
+    const row = [];
+    for (const c of rowMatch[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1];
+      const inner = c[2] || "";
+      const type = attr(attrs, "t");
+      const v = /<v>([\s\S]*?)<\/v>/.exec(inner);
+      if (inner.includes("<f")) formulas += 1;
+
+      let value = v ? decodeXml(v[1]) : "";
+      if (type === "s") value = sharedStrings[Number(value)] || "";
+      else if (type === "inlineStr") value = textRuns(inner);
+      else if (type === "b") value = value === "1" ? "TRUE" : "FALSE";
+      else if (type === "e") errors.push(`${attr(attrs, "r")} ${value}`);
+
+      if (keep) {
+        const i = columnIndex(attr(attrs, "r"));
+        row[i === null ? row.length : i] = value;
+      }
+    }
+    if (keep) rows.push(Array.from(row, (v) => (v === undefined ? "" : v)));
+  }
+  return { rows, rowCount, formulas, errors };
+}
+
+function summarizeXlsx(buf) {
+  let zip;
+  // every part is read through here, so a bad or oversized entry is a 422
+  const readPart = (name) => {
+    try {
+      if (!zip) zip = openZip(buf);
+      const data = zip.read(name);
+      return data ? data.toString("utf8") : "";
+    } catch (err) {
+      throw documentError(422, `Could not read the workbook (${err.message}).`);
+    }
+  };
+
+  const workbookXml = readPart("xl/workbook.xml");
+  if (!zip.has("xl/workbook.xml")) {
+    throw documentError(422, "Could not read the workbook (no xl/workbook.xml).");
+  }
+
+  const rels = new Map();
+  const relsXml = readPart("xl/_rels/workbook.xml.rels");
+  for (const m of relsXml.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const target = (attr(m[1], "Target") || "").replace(/^\/?(xl\/)?/, "xl/");
+    rels.set(attr(m[1], "Id"), target);
+  }
+
+  const sheets = Array.from(workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g), (m) => ({
+    name: attr(m[1], "name"),
+    target: rels.get(attr(m[1], "r:id")),
+  }));
+
+  const sharedStrings = Array.from(
+    readPart("xl/sharedStrings.xml").matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g),
+    (m) => textRuns(m[1])
+  );
+
+  const lines = [
+    `Excel workbook, ${plural(sheets.length, "sheet")}: ${sheets.map((s) => s.name).join(", ")}.`,
+  ];
+  // only the sheets the workbook lists, and only the first few of those
+  for (const sheet of sheets.slice(0, MAX_SHEETS)) {
+    const xml = sheet.target && readPart(sheet.target);
+    if (!xml) continue;
+    const { rows, rowCount, formulas, errors } = readSheet(xml, sharedStrings);
+    lines.push("", `Sheet "${cell(sheet.name)}":`);
+    if (!rows.length) {
+      lines.push("  (empty)");
+      continue;
+    }
+    lines.push(...describeTable(rows, rowCount).map((l) => `  ${l}`));
+    if (formulas) lines.push(`  Formula cells: ${formulas}`);
+    if (errors.length) {
+      const more = errors.length > 10 ? ", …" : "";
+      lines.push(`  Error cells (${errors.length}): ${errors.slice(0, 10).join(", ")}${more}`);
+    }
+  }
+  if (sheets.length > MAX_SHEETS) {
+    lines.push("", `(${sheets.length - MAX_SHEETS} more sheets not shown)`);
+  }
+  return lines;
+}
+
+// -----------------------------------------------------------------------------
+// Jupyter notebooks
+// -----------------------------------------------------------------------------
+
+const joinSource = (source) => (Array.isArray(source) ? source.join("") : String(source || ""));
+
+// ANSI colour codes in tracebacks
+const stripAnsi = (text) => text.replace(/\u001b\[[\d;]*m/g, "");
+
+function summarizeNotebook(buf) {
+  let nb;
+  try {
+    nb = JSON.parse(buf.toString("utf8"));
+  } catch (err) {
+    throw documentError(422, "Could not read the notebook (invalid JSON).");
+  }
+  const cells = Array.isArray(nb.cells) ? nb.cells : [];
+  const meta = nb.metadata || {};
+  const language =
+    (meta.language_info && meta.language_info.name) ||
+    (meta.kernelspec && meta.kernelspec.language) ||
+    "unknown";
+
+  const codeCells = cells.filter((c) => c.cell_type === "code");
+  const errors = [];
+  const outline = [];
+
+  cells.forEach((c, i) => {
+    const source = joinSource(c.source).trim();
+    const label = `Cell ${i + 1}`;
+
+    if (c.cell_type === "markdown") {
+      const heading = source.split("\n").find((l) => /^#{1,3}\s/.test(l));
+      if (heading) outline.push(`${label} (markdown): ${cell(heading.replace(/^#+\s*/, ""))}`);
+      return;
+    }
+    if (c.cell_type !== "code") return;
+
+    const lines = source.split("\n");
+    const excerpt = lines.slice(0, MAX_CODE_LINES).map((l) => `    ${clip(l, 120)}`);
+    if (lines.length > MAX_CODE_LINES) {
+      excerpt.push(`    … (${lines.length - MAX_CODE_LINES} more lines)`);
+    }
+    const run = c.execution_count ? `, In [${c.execution_count}]` : "";
+    outline.push(`${label} (code${run}):`, ...excerpt);
+
+    for (const out of c.outputs || []) {
+      if (out.output_type === "error") {
+        errors.push(`${label}: ${out.ename}: ${clip(stripAnsi(String(out.evalue || "")), 200)}`);
+      } else if (out.output_type === "stream" && out.name === "stderr") {
+        const first = stripAnsi(joinSource(out.text)).trim().split("\n").find(Boolean);
+        if (first) errors.push(`${label} (stderr): ${clip(first, 200)}`);
+      }
+    }
+  });
+
+  const lines = [
+    `Jupyter notebook (${language}), ${cells.length} cells (${codeCells.length} code).`,
+  ];
+  if (errors.length) lines.push(`Errors (${errors.length}):`, ...errors.map((e) => `  ${e}`));
+  else lines.push("No error outputs saved in the notebook.");
+
+  const shown = outline.slice(0, MAX_NOTEBOOK_CELLS * (MAX_CODE_LINES + 2));
+  lines.push("Outline:", ...shown);
+  return lines;
+}
+
+// -----------------------------------------------------------------------------
+// SQL
+// -----------------------------------------------------------------------------
+
+const SQL_KEYWORDS_RE =
+  /\b(select|insert|update|delete|create|alter|drop|with|join|group\s+by|order\s+by|over)\b/gi;
+
+function summarizeSql(buf) {
+  const text = buf.toString("utf8").replace(/^\uFEFF/, "").replace(/\r\n/g, "\n").trim();
+  if (!text) return ["The file is empty."];
+
+  // statements end with ";" at the end of a line (good enough for a summary)
+  const statements = text.split(/;\s*(?:\n|$)/).filter((s) => s.trim()).length;
+  const found = text.match(SQL_KEYWORDS_RE) || [];
+  const keywords = Array.from(new Set(found.map((k) => k.toUpperCase().replace(/\s+/g, " "))));
+  return [
+    `SQL script, ${plural(statements, "statement")}` +
+      (keywords.length ? ` (uses ${keywords.join(", ")}).` : "."),
+    "Query text:",
+    text,
+  ];
+}
+
+const SUMMARIZERS = {
+  csv: summarizeCsv,
+  xlsx: summarizeXlsx,
+  ipynb: summarizeNotebook,
+  sql: summarizeSql,
+};
+
+/**
+ * Compact text summary of an uploaded file.
+ *
+ * @param {{ name: string, kind: string, buf: Buffer }} upload  from parseDocumentUpload
+ * @returns {{ name, kind, bytes, summary }}
+ */
+function summarizeDocument({ name, kind, buf }) {
+  const summary = SUMMARIZERS[kind](buf).join("\n");
+  return {
+    name,
+    kind,
+    bytes: buf.length,
+    summary:
+      summary.length > MAX_SUMMARY_CHARS
+        ? `${summary.slice(0, MAX_SUMMARY_CHARS)}\n… (truncated)`
+        : summary,
+  };
+}
+
+/**
+ * System-instruction block for the files attached to a session ("" if none).
+ * Summaries keep their line structure; only tags that could close the wrapper
+ * or imitate chat-template tokens are removed.
+ */
+function buildDocumentContext(documents) {
+  if (!documents || !documents.length) return "";
+  const blocks = documents.map((d) => {
+    const body = d.summary
+      .replace(/<\/?\s*student_file\b[^>]*>/gi, " ")
+      .replace(/<\|[^|>]*\|>/g, " ");
+    const name = sanitizePromptText(d.name, 120).replace(/"/g, "'");
+    return `<student_file name="${name}" kind="${d.kind}">\n${body}\n</student_file>`;
+  });
+  return `[STUDENT FILES] (uploaded by the student in this session, for questions about their work)
+${blocks.join("\n")}`;
+}
+
+module.exports = {
+  MAX_DOCUMENT_BYTES,
+  DOCUMENT_KINDS,
+  parseDocumentUpload,
+  summarizeDocument,
+  buildDocumentContext,
+};
@@ -129,6 +129,25 @@ async function addStudentsToEvent(calendarId, eventId, emails) {
   return data;
 }
 
+/**
+ * Get the video meeting link of an event (Meet hangoutLink or conference entry point).
+ * @param {object} ev  Calendar event
+ * @returns {string|null}
+ */
+function extractMeetingLink(ev) {
+  if (ev.hangoutLink) return ev.hangoutLink;
+  const conf = ev.conferenceData;
+  if (!conf) return null;
+
+  if (Array.isArray(conf.entryPoints)) {
+    const videoEntry = conf.entryPoints.find(
+      (ep) => ep.entryPointType === "video" && ep.uri
+    );
+    if (videoEntry) return videoEntry.uri;
+  }
+  return null;
+}
+
 /**
  * Remove an event from the calendar
  * @param {string} calendarId  Google Calendar ID
@@ -154,4 +173,5 @@ module.exports = {
   getEventsByCalendarId,
   addStudentsToEvent,
   removeEventFromCalendar,
+  extractMeetingLink,
 };
@@ -0,0 +1,123 @@
+// imageInput.js
+// Screenshots and charts students share with their question (WS `user_image`,
+// `/api/chat` `image`).
+//
+// An image arrives as base64 (or a data: URL) with its MIME type. It is checked
+// against the size limit and the types Gemini accepts inline, and the declared
+// type must match the file's magic bytes. The image is sent to Gemini as an
+// inline data part on that one turn only; history and the stored transcript keep
+// a short "[Image attached: …]" marker instead of the bytes.
+//
+// ENV:
+//   IMAGE_MAX_BYTES=4194304   (decoded size limit per image, default 4 MB)
+
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 4 * 1024 * 1024;
+
+const DEFAULT_IMAGE_QUESTION = "Can you help me with this image?";
+
+const IMAGE_TYPE_LABELS = {
+  "image/png": "PNG",
+  "image/jpeg": "JPEG",
+  "image/webp": "WebP",
+  "image/heic": "HEIC",
+  "image/heif": "HEIF",
+};
+
+const DATA_URL_RE = /^data:([\w/+.-]+);base64,(.*)$/s;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+const imageError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * MIME type from the file's leading bytes, or null if it isn't a supported image.
+ */
+function sniffImageType(buf) {
+  if (buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString("ascii", start, end);
+
+  if (buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (["heic", "heix", "heim", "heis"].includes(brand)) return "image/heic";
+    if (["mif1", "msf1", "heif"].includes(brand)) return "image/heif";
+  }
+  return null;
+}
+
+/**
+ * Validate an uploaded image.
+ * Errors carry an HTTP-style `status` (400 malformed, 413 too large, 415 wrong type).
+ *
+ * @param {string|object} input  data: URL, or { data, mimeType, name? } (data may be a data: URL)
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes]
+ * @returns {{ mimeType: string, data: string, bytes: number, name: string }}
+ */
+function parseImageInput(input, { maxBytes = MAX_IMAGE_BYTES } = {}) {
+  const raw = typeof input === "string" ? { data: input } : input || {};
+  let data = typeof raw.data === "string" ? raw.data.trim() : "";
+  let declared = String(raw.mimeType || raw.mime_type || "").trim().toLowerCase();
+
+  const dataUrl = DATA_URL_RE.exec(data);
+  if (dataUrl) {
+    declared = declared || dataUrl[1].toLowerCase();
+    data = dataUrl[2];
+  }
+  data = data.replace(/\s+/g, "");
+  if (!data) throw imageError(400, "Image data is missing.");
+
+  // checked on the encoded length first so oversized uploads are never decoded
+  if (Math.floor((data.length * 3) / 4) - data.match(/=*$/)[0].length > maxBytes) {
+    const limit =
+      maxBytes >= 1024 * 1024
+        ? `${+(maxBytes / 1024 / 1024).toFixed(1)} MB`
+        : `${Math.round(maxBytes / 1024)} KB`;
+    throw imageError(413, `Image is too large (max ${limit}).`);
+  }
+  if (!BASE64_RE.test(data)) throw imageError(400, "Image data must be base64.");
+
+  const supported = Object.values(IMAGE_TYPE_LABELS).join(", ");
+  if (declared && !IMAGE_TYPE_LABELS[declared]) {
+    throw imageError(415, `Unsupported image type. Use ${supported}.`);
+  }
+
+  const buf = Buffer.from(data, "base64");
+  const actual = sniffImageType(buf);
+  if (!actual || (declared && declared !== actual)) {
+    const expected = IMAGE_TYPE_LABELS[declared] || "image";
+    throw imageError(415, `The file is not a valid ${expected} (${supported}).`);
+  }
+
+  return {
+    mimeType: actual,
+    data: buf.toString("base64"),
+    bytes: buf.length,
+    name: String(raw.name || "").replace(/[\u0000-\u001f\[\]]+/g, " ").trim().slice(0, 80),
+  };
+}
+
+/**
+ * Gemini inline data part for one validated image.
+ */
+function toInlineDataPart(image) {
+  return { inlineData: { mimeType: image.mimeType, data: image.data } };
+}
+
+/**
+ * History/transcript text for a turn that carried an image.
+ */
+function describeImageForHistory(text, image) {
+  const size = `${Math.max(1, Math.round(image.bytes / 1024))} KB`;
+  const label = image.name ? `${image.name}, ` : "";
+  return `${text}\n[Image attached: ${label}${IMAGE_TYPE_LABELS[image.mimeType]}, ${size}]`;
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  DEFAULT_IMAGE_QUESTION,
+  parseImageInput,
+  toInlineDataPart,
+  describeImageForHistory,
+};
@@ -0,0 +1,155 @@
+// instructorDashboard.js
+// Read models for the instructor dashboard (/admin). Everything is built from
+// data the tutor already persists: sessions and their turns, quiz attempts,
+// per-student progress docs and scope decisions.
+//
+//   - sessions:  list rows plus the students / cohorts / courses seen in them
+//   - session:   full transcript with timestamps and that session's quiz results
+//   - insights:  per course, the most-asked curriculum topics (summed over
+//                students' discussed counts) and out-of-scope attempts
+
+const { summarizeAttemptsByTopic } = require("./quizEngine");
+
+const DEFAULT_TOP_TOPICS = 10;
+const DEFAULT_RECENT_OUT_OF_SCOPE = 20;
+
+// Decisions and progress entries recorded before courses were stored with them.
+const UNKNOWN_COURSE = "(course not recorded)";
+
+const byName = (a, b) => a.localeCompare(b);
+const sortedSet = (values) => Array.from(new Set(values.filter(Boolean))).sort(byName);
+
+/**
+ * One session list row.
+ */
+function toSessionRow(session) {
+  return {
+    sessionId: session.sessionId,
+    studentEmail: session.studentEmail,
+    courseNames: session.courseNames || [],
+    cohorts: session.cohorts || [],
+    turnCount: session.turnCount || 0,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    endedAt: session.endedAt || null,
+  };
+}
+
+/**
+ * Distinct students, cohorts and courses across these sessions (for filters).
+ */
+function buildSessionFacets(sessions) {
+  return {
+    students: sortedSet(sessions.map((s) => s.studentEmail)),
+    cohorts: sortedSet(sessions.flatMap((s) => s.cohorts || [])),
+    courses: sortedSet(sessions.flatMap((s) => s.courseNames || [])),
+  };
+}
+
+/**
+ * Answered count, accuracy and per-topic breakdown for a list of attempts.
+ */
+function summarizeQuizAttempts(attempts) {
+  const correct = attempts.filter((a) => a.correct).length;
+  return {
+    answered: attempts.length,
+    correct,
+    accuracy: attempts.length ? Math.round((correct / attempts.length) * 100) / 100 : null,
+    byTopic: summarizeAttemptsByTopic(attempts),
+  };
+}
+
+/**
+ * Session detail: transcript turns in order, plus the quizzes answered in it.
+ */
+function buildSessionDetail(session, turns, attempts) {
+  return {
+    session: { ...toSessionRow(session), summary: session.summary || "" },
+    turns: turns.map((t) => ({
+      seq: t.seq,
+      role: t.role,
+      text: t.text,
+      at: t.at,
+      ...(t.flags && t.flags.length && { flags: t.flags }),
+    })),
+    quiz: { ...summarizeQuizAttempts(attempts), attempts },
+  };
+}
+
+/**
+ * Most-asked topics and out-of-scope attempts per course.
+ *
+ * @param {object} opts
+ * @param {Array} opts.progressDocs  stored progress docs (topics with discussed counts)
+ * @param {Array} opts.decisions     out_of_scope scope decisions, newest first
+ * @param {string} [opts.courseName] only this course
+ * @param {number} [opts.topTopics]
+ * @param {number} [opts.recentOutOfScope]
+ */
+function buildCourseInsights({
+  progressDocs,
+  decisions,
+  courseName,
+  topTopics = DEFAULT_TOP_TOPICS,
+  recentOutOfScope = DEFAULT_RECENT_OUT_OF_SCOPE,
+}) {
+  const courses = new Map();
+  const courseFor = (name) => {
+    const key = name || UNKNOWN_COURSE;
+    if (!courses.has(key)) {
+      courses.set(key, { courseName: key, topics: new Map(), outOfScope: [] });
+    }
+    return courses.get(key);
+  };
+
+  for (const doc of progressDocs) {
+    for (const entry of Object.values(doc.topics || {})) {
+      if (courseName && entry.courseName !== courseName) continue;
+      const topics = courseFor(entry.courseName).topics;
+      const key = entry.topic.toLowerCase();
+      const t = topics.get(key) || { topic: entry.topic, questions: 0, students: 0, lastAskedAt: null };
+      t.questions += entry.discussed || 0;
+      t.students += 1;
+      if (!t.lastAskedAt || entry.lastDiscussedAt > t.lastAskedAt) {
+        t.lastAskedAt = entry.lastDiscussedAt;
+      }
+      topics.set(key, t);
+    }
+  }
+
+  // a student enrolled in several courses counts against each of them
+  for (const d of decisions) {
+    const names = d.courseNames && d.courseNames.length ? d.courseNames : [null];
+    for (const name of names) {
+      if (courseName && name !== courseName) continue;
+      courseFor(name).outOfScope.push(d);
+    }
+  }
+
+  return Array.from(courses.values())
+    .sort((a, b) => byName(a.courseName, b.courseName))
+    .map((c) => ({
+      courseName: c.courseName,
+      topTopics: Array.from(c.topics.values())
+        .sort((a, b) => b.questions - a.questions || b.students - a.students)
+        .slice(0, topTopics),
+      outOfScope: {
+        count: c.outOfScope.length,
+        students: new Set(c.outOfScope.map((d) => d.studentEmail)).size,
+        recent: c.outOfScope.slice(0, recentOutOfScope).map((d) => ({
+          studentEmail: d.studentEmail,
+          sessionId: d.sessionId || null,
+          text: d.text,
+          reason: d.reason,
+          at: d.at,
+        })),
+      },
+    }));
+}
+
+module.exports = {
+  toSessionRow,
+  buildSessionFacets,
+  buildSessionDetail,
+  buildCourseInsights,
+};
@@ -0,0 +1,471 @@
+// lessonMode.js
+// Guided lesson mode: Praxis walks a student through one module of their course,
+// topic by topic.
+//
+// A lesson is a module (a top-level topic of the course tree) and its steps (the
+// module and everything under it, in syllabus order). For each step:
+//
+//   explain  → short spoken segments, one per turn ("next" moves on)
+//   check    → one check-in question; the student's answer is graded
+//              right        → next step
+//              wrong        → simpler re-explanation and a new question,
+//                             then the answer is given and the lesson moves on
+//
+// "next", "repeat", "go back" and "stop" work at any point. Progress is saved per
+// (student, course, module), so "resume my lesson" picks up in a later session.
+//
+// Lesson state (persisted through sessionStore):
+//   { lessonId, studentEmail, courseName, moduleNumber, moduleTitle, steps: [{ title, path, text }],
+//     stepIndex, segmentIndex, phase: "explain" | "check", attempts, contents: { [stepIndex]: content },
+//     status: "active" | "paused" | "completed", startedAt, updatedAt, completedAt? }
+
+const crypto = require("crypto");
+const { tokenize } = require("./courseRetrieval");
+
+const MAX_CHECK_ATTEMPTS = 2;
+const LESSON_HINT = 'Say "next" to continue, "repeat", or "go back".';
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8,
+  ninth: 9, tenth: 10,
+};
+
+// Generated once per step: spoken segments plus the check-in question.
+const LESSON_STEP_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    segments: { type: "ARRAY", items: { type: "STRING" } },
+    checkQuestion: { type: "STRING" },
+    expectedAnswer: { type: "STRING" },
+  },
+  required: ["segments", "checkQuestion", "expectedAnswer"],
+};
+
+const LESSON_GRADE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    correct: { type: "BOOLEAN" },
+    feedback: { type: "STRING" },
+  },
+  required: ["correct", "feedback"],
+};
+
+const LESSON_REMEDIATION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    explanation: { type: "STRING" },
+    checkQuestion: { type: "STRING" },
+    expectedAnswer: { type: "STRING" },
+  },
+  required: ["explanation", "checkQuestion", "expectedAnswer"],
+};
+
+const nowIso = () => new Date().toISOString();
+
+const normalizeSpoken = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9' ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const lessonIdFor = (studentEmail, courseName, moduleTitle) =>
+  crypto
+    .createHash("sha1")
+    .update(`${studentEmail}\n${courseName.toLowerCase()}\n${moduleTitle.toLowerCase()}`)
+    .digest("hex");
+
+/**
+ * "teach me module 3 from the start", "start a lesson on SQL joins",
+ * "walk me through pivot tables step by step".
+ *
+ * @returns {{ moduleNumber: number|null, topic: string|null, fromStart: boolean } | null}
+ */
+function parseLessonRequest(text) {
+  const t = normalizeSpoken(text);
+  const moduleMatch = t.match(
+    new RegExp(`\\bmodule (\\d{1,2}|${Object.keys(NUMBER_WORDS).join("|")})\\b|\\b(${Object.keys(NUMBER_WORDS).join("|")}) module\\b`)
+  );
+  const asksToTeach = /\b(teach|walk|take|guide|start|begin)\b/.test(t);
+  const lessonWords = /\b(lesson|step by step|from the (start|beginning)|from scratch)\b/.test(t);
+
+  if (!asksToTeach || (!moduleMatch && !lessonWords)) return null;
+  // "start a quiz on module 2" is a quiz, not a lesson
+  if (/\b(quiz|test me|questions)\b/.test(t)) return null;
+
+  let moduleNumber = null;
+  if (moduleMatch) {
+    const word = moduleMatch[1] || moduleMatch[2];
+    moduleNumber = /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word];
+  }
+
+  let topic = null;
+  if (!moduleNumber) {
+    const about = t.match(/\b(?:on|about|through|for|teach me)\s+(.+)$/);
+    topic = about
+      ? about[1]
+          .replace(/\b(step by step|from the (start|beginning)|from scratch|please|a lesson|lesson)\b/g, "")
+          .replace(/^(the|a|an)\s+/, "")
+          .trim() || null
+      : null;
+  }
+
+  return {
+    moduleNumber,
+    topic,
+    fromStart: /\b(from the (start|beginning)|from scratch|start over|restart)\b/.test(t),
+  };
+}
+
+/** "resume my lesson", "continue the lesson", "where did we leave off". */
+function isLessonResumeRequest(text) {
+  const t = normalizeSpoken(text);
+  return (
+    /\b(resume|continue|carry on with|pick up)\b.*\blesson\b/.test(t) ||
+    /\bwhere (did )?we (leave|left) off\b/.test(t)
+  );
+}
+
+/**
+ * Navigation inside a lesson. Only whole short commands count, so an answer
+ * like "the previous row" is still graded as an answer.
+ */
+function parseLessonCommand(text) {
+  const t = normalizeSpoken(text)
+    .replace(/^(please|ok(ay)?|can you|could you|let'?s)\s+/, "")
+    .replace(/\s+please$/, "");
+  if (/^(stop|pause|end|exit|quit)( the)?( lesson)?( for now)?$|^(stop|pause|end) (the )?lesson\b/.test(t)) {
+    return "stop";
+  }
+  if (/^(go )?back( one)?$|^previous( step| part| one)?$|^go to the previous (step|part)$/.test(t)) {
+    return "back";
+  }
+  if (/^(repeat( that| it| the question)?|say (that|it) again|again|one more time|come again|what was the question)$/.test(t)) {
+    return "repeat";
+  }
+  if (/^(next( one| step| topic| part)?|continue|go on|carry on|ok(ay)?|got it|move on|skip( it| this| that)?|(i'?m )?ready)$/.test(t)) {
+    return "next";
+  }
+  return null;
+}
+
+/**
+ * Modules of one course: top-level topics (path [course, topic]) with their steps.
+ */
+function listModules(lessons, courseName) {
+  const docs = lessons.filter((d) => d.courseName === courseName);
+  const modules = docs.filter((d) => d.path.length === 2);
+  return modules.map((m, i) => {
+    const prefix = m.path.join("\n");
+    const steps = docs
+      .filter((d) => d.path.slice(0, 2).join("\n") === prefix)
+      .map((d) => ({ title: d.title, path: d.path, text: d.text }));
+    return { moduleNumber: i + 1, moduleTitle: m.title, steps };
+  });
+}
+
+/**
+ * Resolve a parsed lesson request against the student's syllabus.
+ *
+ * @param {Array} lessons        scope.lessons (courseRetrieval.extractCourseDocuments)
+ * @param {string[]} courseNames
+ * @param {object} request       parseLessonRequest() result
+ * @param {string} [text]        the original request, to pick a course by name
+ * @returns {{ courseName, moduleNumber, moduleTitle, steps, startStep } | { error: string }}
+ */
+function buildLessonPlan(lessons, courseNames, request, text = "") {
+  const said = normalizeSpoken(text);
+  const course =
+    courseNames.find((c) => said.includes(normalizeSpoken(c))) || courseNames[0];
+  const modules = listModules(lessons, course);
+
+  if (!modules.length) {
+    return { error: `I couldn't find any modules for ${course || "your course"} yet.` };
+  }
+
+  if (request.moduleNumber) {
+    const mod = modules[request.moduleNumber - 1];
+    if (!mod) {
+      return {
+        error: `${course} has ${modules.length} modules, so there's no module ${request.moduleNumber}.`,
+      };
+    }
+    return { courseName: course, ...mod, startStep: 0 };
+  }
+
+  if (request.topic) {
+    // best title overlap across every step of every module
+    const wanted = new Set(tokenize(request.topic));
+    let best = null;
+    for (const mod of modules) {
+      mod.steps.forEach((step, stepIndex) => {
+        const words = tokenize(step.title);
+        const hits = words.filter((w) => wanted.has(w)).length;
+        const score = hits / Math.max(wanted.size, words.length || 1);
+        if (hits && (!best || score > best.score)) best = { mod, stepIndex, score };
+      });
+    }
+    if (!best) {
+      const names = modules.slice(0, 5).map((m) => `${m.moduleNumber}. ${m.moduleTitle}`);
+      return {
+        error: `I couldn't find "${request.topic}" in ${course}. Its modules start with: ${names.join(", ")}.`,
+      };
+    }
+    return { courseName: course, ...best.mod, startStep: request.fromStart ? 0 : best.stepIndex };
+  }
+
+  return { courseName: course, ...modules[0], startStep: 0 };
+}
+
+function createLesson({ studentEmail, plan }) {
+  const at = nowIso();
+  return {
+    lessonId: lessonIdFor(studentEmail, plan.courseName, plan.moduleTitle),
+    studentEmail,
+    courseName: plan.courseName,
+    moduleNumber: plan.moduleNumber,
+    moduleTitle: plan.moduleTitle,
+    steps: plan.steps,
+    stepIndex: plan.startStep || 0,
+    segmentIndex: 0,
+    phase: "explain",
+    attempts: 0,
+    contents: {},
+    status: "active",
+    startedAt: at,
+    updatedAt: at,
+  };
+}
+
+const currentStep = (lesson) => lesson.steps[lesson.stepIndex];
+const currentContent = (lesson) => lesson.contents[lesson.stepIndex] || null;
+
+/**
+ * Instruction for generating one step's segments and check-in question.
+ */
+function buildLessonStepInstruction(lesson) {
+  const step = currentStep(lesson);
+  const previous = lesson.steps[lesson.stepIndex - 1];
+  return `[LESSON MODE]
+You are teaching ${lesson.courseName}, module ${lesson.moduleNumber} "${lesson.moduleTitle}", step ${lesson.stepIndex + 1} of ${lesson.steps.length}: "${step.path.slice(1).join(" > ")}".
+${step.text ? `The course describes it as: ${step.text}\n` : ""}${previous ? `The previous step was "${previous.title}"; build on it.\n` : "This is the start of the module.\n"}
+Return JSON with:
+- "segments": 2 to 4 short spoken explanation segments, 2-3 sentences each, in teaching order. Plain spoken English, no markdown, no code blocks (say code out loud briefly if needed).
+- "checkQuestion": one short check-in question the student can answer out loud in a sentence.
+- "expectedAnswer": the key idea a correct answer must contain.`;
+}
+
+function buildLessonGradeInstruction(lesson, answer) {
+  const content = currentContent(lesson);
+  return `[LESSON CHECK]
+Grade a student's spoken answer to a check-in question. Be lenient about wording and transcription errors; judge the idea.
+Question: ${content.checkQuestion}
+Key idea of a correct answer: ${content.expectedAnswer}
+Student's answer: ${JSON.stringify(String(answer).slice(0, 1000))}
+Return JSON with "correct" (boolean) and "feedback": one or two encouraging spoken sentences.`;
+}
+
+function buildLessonRemediationInstruction(lesson, answer) {
+  const step = currentStep(lesson);
+  const content = currentContent(lesson);
+  return `[LESSON REMEDIATION]
+The student answered a check-in question on "${step.title}" incorrectly.
+Question: ${content.checkQuestion}
+Key idea: ${content.expectedAnswer}
+Student's answer: ${JSON.stringify(String(answer).slice(0, 1000))}
+Return JSON with "explanation": a simpler re-explanation in 2-4 spoken sentences using a different example,
+"checkQuestion": a new, easier check-in question on the same idea, and "expectedAnswer": its key idea.`;
+}
+
+/**
+ * Validate generated step content; throws if unusable.
+ */
+function normalizeLessonContent(raw) {
+  const segments = (Array.isArray(raw?.segments) ? raw.segments : [])
+    .map((s) => String(s || "").trim())
+    .filter(Boolean)
+    .slice(0, 4);
+  const checkQuestion = String(raw?.checkQuestion || "").trim();
+  const expectedAnswer = String(raw?.expectedAnswer || "").trim();
+  if (!segments.length || !checkQuestion || !expectedAnswer) {
+    throw new Error("Lesson content is missing segments or a check-in question.");
+  }
+  return { segments, checkQuestion, expectedAnswer };
+}
+
+/**
+ * What Praxis says at the current position (content must be loaded).
+ */
+function describeLessonPosition(lesson) {
+  if (lesson.status === "completed") {
+    return `That's the end of module ${lesson.moduleNumber}, ${lesson.moduleTitle}. Well done! You can ask me anything about it, or start the next module.`;
+  }
+
+  const content = currentContent(lesson);
+  if (lesson.phase === "check") {
+    return `Quick check: ${content.checkQuestion}`;
+  }
+
+  const step = currentStep(lesson);
+  const heading =
+    lesson.segmentIndex === 0
+      ? `Step ${lesson.stepIndex + 1} of ${lesson.steps.length}: ${step.title}. `
+      : "";
+  return `${heading}${content.segments[lesson.segmentIndex]} ${LESSON_HINT}`;
+}
+
+function touch(lesson, changes) {
+  return { ...lesson, ...changes, updatedAt: nowIso() };
+}
+
+function moveToStep(lesson, stepIndex) {
+  if (stepIndex >= lesson.steps.length) {
+    return touch(lesson, { status: "completed", completedAt: nowIso(), phase: "explain" });
+  }
+  return touch(lesson, { stepIndex, segmentIndex: 0, phase: "explain", attempts: 0 });
+}
+
+/** "next": next segment, then the check-in, then (skipping the check) the next step. */
+function moveLessonNext(lesson) {
+  const content = currentContent(lesson);
+  if (lesson.phase === "explain" && content && lesson.segmentIndex < content.segments.length - 1) {
+    return touch(lesson, { segmentIndex: lesson.segmentIndex + 1 });
+  }
+  if (lesson.phase === "explain") return touch(lesson, { phase: "check", attempts: 0 });
+  return moveToStep(lesson, lesson.stepIndex + 1);
+}
+
+/**
+ * "go back": previous segment, or the last segment of the previous step.
+ * `segmentIndex: -1` marks "last segment" until that step's content is loaded.
+ */
+function moveLessonBack(lesson) {
+  if (lesson.phase === "check") {
+    const content = currentContent(lesson);
+    return touch(lesson, { phase: "explain", segmentIndex: content.segments.length - 1 });
+  }
+  if (lesson.segmentIndex > 0) return touch(lesson, { segmentIndex: lesson.segmentIndex - 1 });
+  if (lesson.stepIndex === 0) return lesson;
+  return touch(lesson, { stepIndex: lesson.stepIndex - 1, segmentIndex: -1, attempts: 0 });
+}
+
+/**
+ * Resolve `segmentIndex: -1` once the step's content is loaded.
+ */
+function settleLessonSegment(lesson) {
+  const content = currentContent(lesson);
+  if (lesson.segmentIndex >= 0 || !content) return lesson;
+  return { ...lesson, segmentIndex: content.segments.length - 1 };
+}
+
+/**
+ * Apply a graded check-in answer.
+ *
+ * @param {object} lesson
+ * @param {object} result        { correct, feedback }
+ * @param {object} [remediation] normalized { explanation, checkQuestion, expectedAnswer } for a wrong answer
+ * @returns {{ lesson, say: string }}
+ */
+function applyLessonCheck(lesson, { correct, feedback }, remediation = null) {
+  const content = currentContent(lesson);
+
+  if (correct) {
+    return { lesson: moveToStep(lesson, lesson.stepIndex + 1), say: feedback };
+  }
+
+  const attempts = lesson.attempts + 1;
+  if (attempts < MAX_CHECK_ATTEMPTS && remediation) {
+    const contents = {
+      ...lesson.contents,
+      [lesson.stepIndex]: {
+        ...content,
+        checkQuestion: remediation.checkQuestion,
+        expectedAnswer: remediation.expectedAnswer,
+      },
+    };
+    return {
+      lesson: touch(lesson, { attempts, contents }),
+      say: `${feedback} ${remediation.explanation}`,
+    };
+  }
+
+  return {
+    lesson: moveToStep(lesson, lesson.stepIndex + 1),
+    say: `${feedback} The key idea is: ${content.expectedAnswer}. Let's keep going.`,
+  };
+}
+
+/** What the client gets in `lesson_state` frames. */
+function toPublicLesson(lesson) {
+  if (!lesson) return { active: false };
+  const step = currentStep(lesson);
+  return {
+    active: lesson.status === "active",
+    lessonId: lesson.lessonId,
+    status: lesson.status,
+    courseName: lesson.courseName,
+    moduleNumber: lesson.moduleNumber,
+    moduleTitle: lesson.moduleTitle,
+    stepIndex: lesson.stepIndex,
+    stepCount: lesson.steps.length,
+    stepTitle: step ? step.title : null,
+    phase: lesson.phase,
+  };
+}
+
+/**
+ * Rebuild a lesson's steps from the current syllabus, keeping the position by
+ * title when lessons were added or reordered since it was saved.
+ */
+function refreshLessonSteps(lesson, lessons) {
+  const mod = listModules(lessons, lesson.courseName).find(
+    (m) => m.moduleTitle.toLowerCase() === lesson.moduleTitle.toLowerCase()
+  );
+  if (!mod) return lesson;
+
+  const title = currentStep(lesson) ? currentStep(lesson).title : null;
+  const stepIndex = mod.steps.findIndex((s) => s.title === title);
+  if (stepIndex === lesson.stepIndex && mod.steps.length === lesson.steps.length) return lesson;
+  if (stepIndex < 0) return lesson;
+
+  // cached contents are keyed by position, so they no longer line up
+  return { ...lesson, steps: mod.steps, stepIndex, moduleNumber: mod.moduleNumber, contents: {} };
+}
+
+/**
+ * Added to the tutor's instruction while a lesson is open and the student asks
+ * something else mid-explanation.
+ */
+function buildLessonSideNote(lesson) {
+  return `[LESSON MODE]
+The student is in a guided lesson: ${lesson.courseName}, module ${lesson.moduleNumber} "${lesson.moduleTitle}", step ${lesson.stepIndex + 1} of ${lesson.steps.length} ("${currentStep(lesson).title}").
+Answer their question briefly, then invite them to say "next" to carry on with the lesson.`;
+}
+
+module.exports = {
+  MAX_CHECK_ATTEMPTS,
+  LESSON_STEP_SCHEMA,
+  LESSON_GRADE_SCHEMA,
+  LESSON_REMEDIATION_SCHEMA,
+  parseLessonRequest,
+  isLessonResumeRequest,
+  parseLessonCommand,
+  listModules,
+  buildLessonPlan,
+  createLesson,
+  currentContent,
+  buildLessonStepInstruction,
+  buildLessonGradeInstruction,
+  buildLessonRemediationInstruction,
+  normalizeLessonContent,
+  describeLessonPosition,
+  moveLessonNext,
+  moveLessonBack,
+  settleLessonSegment,
+  applyLessonCheck,
+  toPublicLesson,
+  refreshLessonSteps,
+  buildLessonSideNote,
+};
@@ -0,0 +1,216 @@
+// progressModel.js
+// Per-student learning progress: topics discussed, quiz accuracy per topic and
+// guided lesson completion, rolled up into a mastery level per topic and a short
+// summary for the system instruction.
+//
+// Discussed topics are recorded here (praxis_progress); quiz accuracy comes from
+// quiz attempts and lesson completion from saved lessons, so nothing is stored twice.
+//
+// Mastery (over each topic's last RECENT_ATTEMPTS quiz answers):
+//   mastered    ≥ MIN_ASSESSED attempts and ≥ 80% correct
+//   struggling  ≥ MIN_ASSESSED attempts and < 50% correct
+//   learning    some quiz answers, in between
+//   discussed   talked about, not quizzed yet
+
+const { sanitizePromptText } = require("./promptGuard");
+
+const RECENT_ATTEMPTS = 10;
+const MIN_ASSESSED = 3;
+const MAX_ATTEMPTS_LOADED = 500;
+const MAX_TOPICS = 200;
+
+const topicKey = (topic) => String(topic || "").trim().toLowerCase();
+
+function masteryFor({ attempts, accuracy, discussed }) {
+  if (attempts >= MIN_ASSESSED && accuracy >= 0.8) return "mastered";
+  if (attempts >= MIN_ASSESSED && accuracy < 0.5) return "struggling";
+  if (attempts > 0) return "learning";
+  return discussed ? "discussed" : "not_started";
+}
+
+/**
+ * Create the tracker.
+ *
+ * @param {object} opts
+ * @param {object} opts.store   session store (getProgress, saveProgress, listQuizAttempts, listLessons)
+ * @param {function} [opts.now] clock, for tests
+ */
+function createProgressTracker({ store, now = () => new Date() }) {
+  return {
+    /**
+     * Count a conversation about these curriculum topics.
+     *
+     * @param {string} studentEmail
+     * @param {Array<{ topic: string, courseName?: string }>} topics
+     */
+    async recordDiscussion(studentEmail, topics) {
+      const byKey = new Map(topics.filter((t) => t && t.topic).map((t) => [topicKey(t.topic), t]));
+      if (!byKey.size) return null;
+
+      const at = now().toISOString();
+      const progress = (await store.getProgress(studentEmail)) || { studentEmail, topics: {} };
+      for (const [key, { topic, courseName }] of byKey) {
+        const entry = progress.topics[key] || { topic, discussed: 0, firstDiscussedAt: at };
+        progress.topics[key] = {
+          ...entry,
+          courseName: courseName || entry.courseName || null,
+          discussed: entry.discussed + 1,
+          lastDiscussedAt: at,
+        };
+      }
+
+      // keep the most recently discussed topics
+      const keys = Object.keys(progress.topics);
+      if (keys.length > MAX_TOPICS) {
+        keys
+          .sort((a, b) => (progress.topics[a].lastDiscussedAt < progress.topics[b].lastDiscussedAt ? -1 : 1))
+          .slice(0, keys.length - MAX_TOPICS)
+          .forEach((k) => delete progress.topics[k]);
+      }
+
+      return store.saveProgress({ ...progress, updatedAt: at });
+    },
+
+    /**
+     * Everything known about a student's progress.
+     */
+    async getProgress(studentEmail) {
+      const [stored, attempts, lessons] = await Promise.all([
+        store.getProgress(studentEmail),
+        store.listQuizAttempts({ studentEmail, limit: MAX_ATTEMPTS_LOADED }),
+        store.listLessons({ studentEmail }),
+      ]);
+
+      const topics = new Map();
+      const entryFor = (name) => {
+        const key = topicKey(name);
+        if (!topics.has(key)) {
+          topics.set(key, {
+            topic: name,
+            courseName: null,
+            discussed: 0,
+            lastDiscussedAt: null,
+            answers: [],
+          });
+        }
+        return topics.get(key);
+      };
+
+      for (const d of Object.values((stored && stored.topics) || {})) {
+        Object.assign(entryFor(d.topic), {
+          courseName: d.courseName || null,
+          discussed: d.discussed,
+          lastDiscussedAt: d.lastDiscussedAt,
+        });
+      }
+      for (const a of attempts) {
+        if (a.topic) entryFor(a.topic).answers.push(a);
+      }
+
+      const topicList = Array.from(topics.values()).map(({ answers, ...t }) => {
+        const recent = answers.slice(-RECENT_ATTEMPTS);
+        const correct = recent.filter((a) => a.correct).length;
+        const accuracy = recent.length ? Math.round((correct / recent.length) * 100) / 100 : null;
+        const lastQuizzedAt = answers.length ? answers[answers.length - 1].at : null;
+        return {
+          ...t,
+          attempts: answers.length,
+          recentAttempts: recent.length,
+          recentCorrect: correct,
+          accuracy,
+          lastQuizzedAt,
+          mastery: masteryFor({ attempts: recent.length, accuracy, discussed: t.discussed > 0 }),
+        };
+      });
+
+      const lessonList = lessons.map((l) => ({
+        courseName: l.courseName,
+        moduleNumber: l.moduleNumber,
+        moduleTitle: l.moduleTitle,
+        status: l.status,
+        stepIndex: l.stepIndex,
+        stepCount: l.steps.length,
+        startedAt: l.startedAt,
+        updatedAt: l.updatedAt,
+        completedAt: l.completedAt || null,
+      }));
+
+      const answered = attempts.length;
+      const correct = attempts.filter((a) => a.correct).length;
+      const count = (mastery) => topicList.filter((t) => t.mastery === mastery).length;
+
+      return {
+        studentEmail,
+        totals: {
+          topicsDiscussed: topicList.filter((t) => t.discussed > 0).length,
+          quizAnswers: answered,
+          quizAccuracy: answered ? Math.round((correct / answered) * 100) / 100 : null,
+          topicsMastered: count("mastered"),
+          topicsStruggling: count("struggling"),
+          lessonsCompleted: lessonList.filter((l) => l.status === "completed").length,
+          lessonsInProgress: lessonList.filter((l) => l.status !== "completed").length,
+        },
+        topics: topicList,
+        lessons: lessonList,
+        updatedAt: (stored && stored.updatedAt) || null,
+      };
+    },
+  };
+}
+
+/**
+ * Short progress note for the system instruction ("" when there is nothing yet).
+ */
+function buildProgressSummary(progress) {
+  const lines = [];
+  const byAccuracy = (a, b) => a.accuracy - b.accuracy;
+  // topic names come from generated quizzes and the course payload
+  const clean = (text) => sanitizePromptText(text, 80);
+  const named = (t) => `${clean(t.topic)} (${t.recentCorrect}/${t.recentAttempts} correct)`;
+
+  const struggling = progress.topics.filter((t) => t.mastery === "struggling").sort(byAccuracy);
+  const mastered = progress.topics.filter((t) => t.mastery === "mastered").sort(byAccuracy).reverse();
+  const learning = progress.topics.filter((t) => t.mastery === "learning");
+
+  if (struggling.length) {
+    lines.push(`- Has struggled with: ${struggling.slice(0, 5).map(named).join(", ")}. Go slower on these and check understanding.`);
+  }
+  if (mastered.length) {
+    lines.push(`- Has mastered: ${mastered.slice(0, 5).map(named).join(", ")}. Don't re-teach basics here.`);
+  }
+  if (learning.length) {
+    lines.push(`- Still learning: ${learning.slice(0, 5).map(named).join(", ")}.`);
+  }
+
+  const completed = progress.lessons.filter((l) => l.status === "completed");
+  const open = progress.lessons.filter((l) => l.status !== "completed");
+  if (completed.length) {
+    lines.push(
+      `- Completed lessons: ${completed.slice(0, 5).map((l) => `module ${l.moduleNumber} "${clean(l.moduleTitle)}"`).join(", ")}.`
+    );
+  }
+  if (open.length) {
+    lines.push(
+      `- Lessons in progress: ${open
+        .slice(0, 3)
+        .map((l) => `module ${l.moduleNumber} "${clean(l.moduleTitle)}" (step ${l.stepIndex + 1} of ${l.stepCount})`)
+        .join(", ")}.`
+    );
+  }
+
+  const recent = progress.topics
+    .filter((t) => t.lastDiscussedAt)
+    .sort((a, b) => (a.lastDiscussedAt < b.lastDiscussedAt ? 1 : -1))
+    .slice(0, 5)
+    .map((t) => clean(t.topic));
+  if (recent.length) lines.push(`- Recently discussed: ${recent.join(", ")}.`);
+
+  if (!lines.length) return "";
+  return `[STUDENT PROGRESS] (from earlier sessions; use it to pitch explanations, don't recite it)
+${lines.join("\n")}`;
+}
+
+module.exports = {
+  createProgressTracker,
+  buildProgressSummary,
+};
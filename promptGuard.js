@@ -0,0 +1,172 @@
+// promptGuard.js
+// Prompt-injection hardening for everything that ends up in a Gemini prompt.
+//
+//   - Upstream strings (course names, topics, lesson text from the Pluralcode
+//     payload, instructor notes) are flattened to one line and stripped of
+//     instruction-like content before they are interpolated into the system
+//     instruction, where they sit inside <course_data> tags.
+//   - Assistant turns in client-supplied history must carry the HMAC signature
+//     the server issued with that reply; unsigned ones are dropped and forged
+//     ones rejected, so a caller cannot invent what Praxis "said" earlier.
+//   - User turns are scanned for common jailbreak patterns, which are tagged in
+//     the logs (they are still answered under the normal policy).
+//
+// ENV:
+//   HISTORY_SIGNING_SECRET=...   (per-process random if unset, so signatures end with a restart)
+
+const crypto = require("crypto");
+
+const MAX_UPSTREAM_CHARS = 200;
+
+// Replaced wherever they appear in upstream strings.
+const INSTRUCTION_PATTERNS = [
+  /<\|[^|>]*\|>/g, // chat template tokens
+  /<\/?\s*(system|instructions?|prompt|course_data|context|policy)\b[^>]*>/gi,
+  /\[\s*[A-Z][A-Z _-]{2,}\s*\]/g, // section headers like [POLICY]
+  /(^|[.;!?|]\s*)(system|assistant|developer|user)\s*:/gim, // role prefixes
+  /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+|the\s+|your\s+)*(previous|prior|above|earlier|system)?\s*(instructions?|rules|prompts?|polic(y|ies))\b/gi,
+  /\b(you are now|from now on you|new instructions?|act as|pretend (to be|you are))\b/gi,
+];
+
+const JAILBREAK_PATTERNS = [
+  {
+    tag: "ignore_instructions",
+    re: /\b(ignore|disregard|forget|override|bypass)\b.{0,30}\b(instructions?|rules|prompts?|polic(y|ies)|guidelines|restrictions)\b/i,
+  },
+  {
+    tag: "role_override",
+    re: /\b(you are now|from now on,? you|pretend (to be|you are|you're)|act as (an? )?(unrestricted|unfiltered|evil|different)|roleplay as)\b/i,
+  },
+  { tag: "dan", re: /\b(DAN|do anything now|jailbreak|jailbroken)\b/i },
+  { tag: "developer_mode", re: /\b(developer|debug|god|admin) mode\b/i },
+  {
+    tag: "system_prompt_leak",
+    re: /\b(show|reveal|print|repeat|tell me|what (is|are))\b.{0,20}\b(your|the)\s+(system\s+)?(prompt|instructions|initial instructions|rules)\b/i,
+  },
+  {
+    tag: "fake_system_tag",
+    re: /(<\|[^|>]*\|>|\[\s*(SYSTEM|POLICY|CONTEXT|INST)\s*\]|^\s*(system|assistant)\s*:)/im,
+  },
+  { tag: "no_restrictions", re: /\b(without|no) (any )?(restrictions|filters|limits|rules|censorship)\b/i },
+  { tag: "encoded_payload", re: /\b(base64|rot13|hex)\b.{0,30}\b(decode|decoded|follow|execute|instructions?)\b/i },
+];
+
+/**
+ * Make an upstream string safe to interpolate into a system instruction:
+ * one line, no control characters, instruction-like content removed.
+ *
+ * @param {*} value
+ * @param {number} [maxLength]
+ */
+function sanitizePromptText(value, maxLength = MAX_UPSTREAM_CHARS) {
+  let text = String(value == null ? "" : value);
+  // before flattening, so role prefixes at the start of a line are still seen
+  for (const re of INSTRUCTION_PATTERNS) text = text.replace(re, " ");
+  text = text
+    .replace(/[\u0000-\u001f\u007f\u2028\u2029]+/g, " ")
+    .replace(/[`<>]{3,}/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength).trim()}…` : text;
+}
+
+/**
+ * Emails go into the prompt as-is only if they look like emails.
+ */
+function sanitizePromptEmail(email) {
+  const clean = String(email || "").trim().toLowerCase();
+  return /^[a-z0-9._%+-]{1,64}@[a-z0-9.-]{1,190}\.[a-z]{2,}$/.test(clean) ? clean : "(unknown)";
+}
+
+/**
+ * Tags of the jailbreak patterns found in a user turn (empty if none).
+ */
+function detectJailbreakPatterns(text) {
+  const t = String(text || "");
+  return JAILBREAK_PATTERNS.filter(({ re }) => re.test(t)).map(({ tag }) => tag);
+}
+
+/**
+ * Create the history signer.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.secret]  HMAC key (default HISTORY_SIGNING_SECRET, never the LMS key)
+ */
+function createHistorySigner({
+  secret = process.env.HISTORY_SIGNING_SECRET,
+} = {}) {
+  if (!secret) {
+    console.warn(
+      "HISTORY_SIGNING_SECRET is not set; history signatures will not survive a restart."
+    );
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+
+  const sign = (studentEmail, text) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${studentEmail}\nassistant\n${text}`)
+      .digest("base64url");
+
+  const matches = (expected, signature) => {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signature));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  };
+
+  return {
+    /** Signature for one assistant reply to this student. */
+    sign,
+
+    /**
+     * Check client-supplied history.
+     * Assistant ("assistant" or "model") turns need a valid signature: unsigned
+     * ones are dropped, a wrong signature marks the history as forged.
+     *
+     * @param {Array} history   [{ role, text, signature? }]
+     * @param {string} studentEmail
+     * @returns {{ turns: Array<{ role: "user"|"assistant", text }>, dropped: number, forged: number }}
+     */
+    verifyHistory(history, studentEmail) {
+      const turns = [];
+      let dropped = 0;
+      let forged = 0;
+
+      for (const h of Array.isArray(history) ? history : []) {
+        if (!h || typeof h.text !== "string" || !h.text) continue;
+
+        if (h.role === "assistant" || h.role === "model") {
+          if (!h.signature) {
+            dropped += 1;
+          } else if (!matches(sign(studentEmail, h.text), h.signature)) {
+            forged += 1;
+          } else {
+            turns.push({ role: "assistant", text: h.text });
+          }
+        } else if (h.role === "user") {
+          turns.push({ role: "user", text: h.text });
+        } else {
+          dropped += 1;
+        }
+      }
+
+      return { turns, dropped, forged };
+    },
+  };
+}
+
+/**
+ * One structured log line per guard event, for log-based alerting.
+ */
+function logGuardEvent(event, fields) {
+  console.warn(JSON.stringify({ event, ...fields }));
+}
+
+module.exports = {
+  sanitizePromptText,
+  sanitizePromptEmail,
+  detectJailbreakPatterns,
+  createHistorySigner,
+  logGuardEvent,
+};
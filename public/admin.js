@@ -0,0 +1,310 @@
+// ================= CONFIG =================
+
+// Same origin as the API; every call sends the LMS key as x-api-key.
+const KEY_STORAGE = "praxis.adminKey";
+const SESSION_LIMIT = 200;
+const LOW_ACCURACY = 0.5;
+
+// ================= DOM ELEMENTS =================
+
+const apiKeyInput = document.getElementById("apiKey");
+const emailFilter = document.getElementById("emailFilter");
+const cohortFilter = document.getElementById("cohortFilter");
+const courseFilter = document.getElementById("courseFilter");
+const studentOptions = document.getElementById("studentOptions");
+const loadBtn = document.getElementById("loadBtn");
+const signOutBtn = document.getElementById("signOutBtn");
+const statusEl = document.getElementById("status");
+
+const sessionRowsEl = document.getElementById("sessionRows");
+const sessionMetaEl = document.getElementById("sessionMeta");
+const sessionTranscriptEl = document.getElementById("sessionTranscript");
+const quizSummaryEl = document.getElementById("quizSummary");
+const quizRowsEl = document.getElementById("quizRows");
+const insightsEl = document.getElementById("insights");
+
+// ================= STATE =================
+
+let selectedSessionId = null;
+
+function loadStoredKey() {
+  try {
+    return sessionStorage.getItem(KEY_STORAGE) || "";
+  } catch (_) {
+    return "";
+  }
+}
+
+function saveStoredKey(key) {
+  try {
+    if (key) sessionStorage.setItem(KEY_STORAGE, key);
+    else sessionStorage.removeItem(KEY_STORAGE);
+  } catch (_) {}
+}
+
+// ================= UTIL =================
+
+function setStatus(msg, isError = false) {
+  statusEl.textContent = msg;
+  statusEl.className = "admin-status" + (isError ? " error" : "");
+}
+
+async function api(path) {
+  const res = await fetch(path, { headers: { "x-api-key": apiKeyInput.value.trim() } });
+  const body = await res.json().catch(() => ({}));
+  if (res.status === 401) throw new Error("The LMS key was rejected.");
+  if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`);
+  return body;
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "—";
+}
+
+function formatAccuracy(accuracy) {
+  return accuracy === null || accuracy === undefined ? "—" : `${Math.round(accuracy * 100)}%`;
+}
+
+// Builds an element; strings are always set as text (transcripts are student input).
+function el(tag, { className, text, colSpan } = {}, children = []) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  if (colSpan) node.colSpan = colSpan;
+  for (const child of children) node.appendChild(child);
+  return node;
+}
+
+function placeholderRow(tbody, colSpan, text) {
+  tbody.replaceChildren(el("tr", {}, [el("td", { className: "placeholder", colSpan, text })]));
+}
+
+function fillSelect(select, values, allLabel) {
+  const current = select.value;
+  select.replaceChildren(el("option", { text: allLabel }));
+  select.firstChild.value = "";
+  for (const value of values) {
+    const option = el("option", { text: value });
+    option.value = value;
+    select.appendChild(option);
+  }
+  if (values.includes(current)) select.value = current;
+}
+
+// ================= SESSIONS =================
+
+async function loadSessions() {
+  const params = new URLSearchParams({ limit: String(SESSION_LIMIT) });
+  if (emailFilter.value.trim()) params.set("email", emailFilter.value.trim());
+  if (cohortFilter.value) params.set("cohort", cohortFilter.value);
+  if (courseFilter.value) params.set("course", courseFilter.value);
+
+  const { sessions, facets } = await api(`/admin/sessions?${params}`);
+  renderSessions(sessions);
+
+  // only widen the filter lists from an unfiltered load
+  if (!params.has("email") && !params.has("cohort") && !params.has("course")) {
+    fillSelect(cohortFilter, facets.cohorts, "All cohorts");
+    fillSelect(courseFilter, facets.courses, "All courses");
+    studentOptions.replaceChildren(
+      ...facets.students.map((s) => {
+        const option = el("option");
+        option.value = s;
+        return option;
+      })
+    );
+  }
+  return sessions.length;
+}
+
+function renderSessions(sessions) {
+  if (!sessions.length) {
+    placeholderRow(sessionRowsEl, 5, "No sessions match these filters.");
+    return;
+  }
+
+  sessionRowsEl.replaceChildren(
+    ...sessions.map((s) => {
+      const row = el("tr", { className: "clickable" }, [
+        el("td", { text: formatTime(s.updatedAt) }),
+        el("td", { text: s.studentEmail }),
+        el("td", { text: s.cohorts.join(", ") || "—" }),
+        el("td", { text: s.courseNames.join(", ") }),
+        el("td", { text: String(s.turnCount) }),
+      ]);
+      if (s.sessionId === selectedSessionId) row.classList.add("selected");
+      row.addEventListener("click", () => {
+        sessionRowsEl.querySelectorAll("tr.selected").forEach((r) => r.classList.remove("selected"));
+        row.classList.add("selected");
+        selectSession(s.sessionId).catch((err) => setStatus(err.message, true));
+      });
+      return row;
+    })
+  );
+}
+
+// ================= TRANSCRIPT + QUIZZES =================
+
+async function selectSession(sessionId) {
+  selectedSessionId = sessionId;
+  setStatus("Loading session…");
+
+  const detail = await api(`/admin/sessions/${encodeURIComponent(sessionId)}`);
+  const { attempts, byTopic } = await api(
+    `/quiz-attempts?email=${encodeURIComponent(detail.session.studentEmail)}`
+  );
+
+  renderTranscript(detail);
+  renderQuizPerformance(detail, attempts, byTopic);
+  setStatus(`Loaded session ${sessionId}.`);
+}
+
+function renderTranscript({ session, turns }) {
+  sessionMetaEl.textContent =
+    `${session.studentEmail} · ${session.courseNames.join(", ")} · ` +
+    `started ${formatTime(session.createdAt)}` +
+    (session.endedAt ? ` · ended ${formatTime(session.endedAt)}` : "");
+
+  if (!turns.length) {
+    sessionTranscriptEl.textContent = "No turns were recorded in this session.";
+    return;
+  }
+
+  sessionTranscriptEl.replaceChildren(
+    ...turns.map((t) => {
+      const line = el("div", { className: "transcript-line " + t.role }, [
+        el("span", { className: "turn-time", text: formatTime(t.at) }),
+        el("span", { text: (t.role === "user" ? "Student: " : "Praxis: ") + t.text }),
+      ]);
+      for (const flag of t.flags || []) {
+        line.appendChild(el("span", { className: "turn-flag", text: flag }));
+      }
+      return line;
+    })
+  );
+}
+
+function renderQuizPerformance({ quiz }, allAttempts, allByTopic) {
+  const allCorrect = allAttempts.filter((a) => a.correct).length;
+  quizSummaryEl.textContent =
+    `This session: ${quiz.correct}/${quiz.answered} correct (${formatAccuracy(quiz.accuracy)}). ` +
+    `All sessions: ${allCorrect}/${allAttempts.length} correct` +
+    (allAttempts.length ? ` (${formatAccuracy(allCorrect / allAttempts.length)}).` : ".");
+
+  if (!allByTopic.length) {
+    placeholderRow(quizRowsEl, 3, "This student has not answered any quiz questions yet.");
+    return;
+  }
+
+  const inSession = new Map(quiz.byTopic.map((t) => [t.topic, t]));
+  const cell = (t) =>
+    el("td", {
+      className: t && t.accuracy < LOW_ACCURACY ? "accuracy-low" : "",
+      text: t ? `${t.correct}/${t.attempts} (${formatAccuracy(t.accuracy)})` : "—",
+    });
+
+  // weakest topics first (the server sorts byTopic by accuracy)
+  quizRowsEl.replaceChildren(
+    ...allByTopic.map((t) =>
+      el("tr", {}, [el("td", { text: t.topic }), cell(inSession.get(t.topic)), cell(t)])
+    )
+  );
+}
+
+// ================= COURSE INSIGHTS =================
+
+async function loadInsights() {
+  const params = new URLSearchParams();
+  if (courseFilter.value) params.set("course", courseFilter.value);
+  const { courses } = await api(`/admin/course-insights?${params}`);
+  renderInsights(courses);
+}
+
+function renderInsights(courses) {
+  if (!courses.length) {
+    insightsEl.replaceChildren(
+      el("p", { className: "placeholder", text: "No questions recorded for these courses yet." })
+    );
+    return;
+  }
+
+  insightsEl.replaceChildren(
+    ...courses.map((c) => {
+      const topics = c.topTopics.length
+        ? el(
+            "ol",
+            {},
+            c.topTopics.map((t) =>
+              el("li", {
+                text: `${t.topic} — ${t.questions} question${t.questions === 1 ? "" : "s"}, ` +
+                  `${t.students} student${t.students === 1 ? "" : "s"}`,
+              })
+            )
+          )
+        : el("p", { className: "placeholder", text: "No curriculum questions yet." });
+
+      const offTopic = c.outOfScope.recent.length
+        ? el(
+            "ul",
+            {},
+            c.outOfScope.recent.map((d) =>
+              el("li", { text: `${formatTime(d.at)} · ${d.studentEmail}: “${d.text}”` })
+            )
+          )
+        : el("p", { className: "placeholder", text: "No out-of-scope attempts." });
+
+      return el("div", { className: "insight-course" }, [
+        el("h3", { text: c.courseName }),
+        el("div", { className: "insight-columns" }, [
+          el("div", {}, [el("h4", { text: "Most-asked topics" }), topics]),
+          el("div", {}, [
+            el("h4", {
+              text: `Out-of-scope attempts: ${c.outOfScope.count} from ${c.outOfScope.students} ` +
+                `student${c.outOfScope.students === 1 ? "" : "s"}`,
+            }),
+            offTopic,
+          ]),
+        ]),
+      ]);
+    })
+  );
+}
+
+// ================= WIRING =================
+
+async function loadDashboard() {
+  if (!apiKeyInput.value.trim()) {
+    setStatus("Enter the LMS key first.", true);
+    return;
+  }
+  saveStoredKey(apiKeyInput.value.trim());
+  setStatus("Loading…");
+  loadBtn.disabled = true;
+  try {
+    const count = await loadSessions();
+    await loadInsights();
+    setStatus(`${count} session${count === 1 ? "" : "s"} loaded.`);
+  } catch (err) {
+    setStatus(err.message, true);
+  } finally {
+    loadBtn.disabled = false;
+  }
+}
+
+loadBtn.addEventListener("click", loadDashboard);
+
+signOutBtn.addEventListener("click", () => {
+  saveStoredKey("");
+  apiKeyInput.value = "";
+  selectedSessionId = null;
+  placeholderRow(sessionRowsEl, 5, "Enter the LMS key and load sessions.");
+  sessionMetaEl.textContent = "";
+  sessionTranscriptEl.textContent = "Select a session to read its transcript.";
+  quizSummaryEl.textContent = "Select a session to see its quiz results.";
+  quizRowsEl.replaceChildren();
+  insightsEl.replaceChildren();
+  setStatus("Key cleared.");
+});
+
+apiKeyInput.value = loadStoredKey();
+if (apiKeyInput.value) loadDashboard();
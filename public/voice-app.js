@@ -1,11 +1,31 @@
 // ================= CONFIG =================
 
 const WS_URL = "wss://veritas-ai-voice-156084498565.europe-west1.run.app/ws";
+// REST endpoints live on the same host as the socket
+const API_BASE = WS_URL.replace(/^ws/, "http").replace(/\/ws$/, "");
+
+// Browsers without SpeechRecognition (Safari, Firefox, many webviews) stream
+// mic PCM to the server instead. Force it anywhere with ?stt=server.
+const USE_SERVER_STT =
+  new URLSearchParams(window.location.search).get("stt") === "server" ||
+  !(window.SpeechRecognition || window.webkitSpeechRecognition);
+const STT_SAMPLE_RATE = 16000;
+
+// Screenshots students can share; the server enforces the same limits.
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/heic", "image/heif"];
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Files students can attach to the session (summarized server-side).
+const DOCUMENT_EXTENSIONS = ["csv", "xlsx", "ipynb", "sql"];
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// The LMS opens this page with ?token=<signed student token>.
+const URL_TOKEN = new URLSearchParams(window.location.search).get("token");
 
 // ================= DOM ELEMENTS =================
 
 const emailInput = document.getElementById("email");
-const lmsKeyInput = document.getElementById("lmsKey");
+const studentTokenInput = document.getElementById("studentToken");
 const startBtn = document.getElementById("startBtn");
 const talkBtn = document.getElementById("talkBtn");
 const stopBtn = document.getElementById("stopBtn");
@@ -17,6 +37,16 @@ const resourcesEl = document.getElementById("resources");
 const quizArea = document.getElementById("quizContainer");
 const quizScoreEl = document.getElementById("quizScore");
 
+const imageFileInput = document.getElementById("imageFile");
+const imageBtn = document.getElementById("imageBtn");
+const imagePreview = document.getElementById("imagePreview");
+const imagePreviewImg = document.getElementById("imagePreviewImg");
+const imageQuestionInput = document.getElementById("imageQuestion");
+const imageSendBtn = document.getElementById("imageSendBtn");
+const imageClearBtn = document.getElementById("imageClearBtn");
+const documentFileInput = document.getElementById("documentFile");
+const documentBtn = document.getElementById("documentBtn");
+
 // ================= STATE =================
 
 let ws = null;
@@ -30,15 +60,31 @@ let hasHeardSpeech = false;
 let speechBuffer = "";
 let silenceTimer = null;
 
+// server-side STT mic capture
+let micStream = null;
+let micSource = null;
+let micProcessor = null;
+let liveUserLine = null;
+
 // Web Audio (for iOS-safe TTS)
 let audioCtx = null;
-let currentAudioSource = null;
+let scheduledSources = []; // queued + playing TTS chunks, in play order
+let nextChunkStartTime = 0;
+let audioGeneration = 0; // bumped on flush so in-flight decodes are dropped
+let audioDecodeChain = Promise.resolve();
 let audioCtxReady = false;
 
 let conversationHistory = [];
 
 let lastRequestId = null;
 
+// streaming reply (assistant_delta frames) rendered live in the transcript
+let liveAssistantLine = null;
+let liveAssistantText = "";
+
+// screenshot waiting to be sent: { dataUrl, mimeType, name }
+let pendingImage = null;
+
 // quiz score
 let quizCorrect = 0;
 let quizTotal = 0;
@@ -49,7 +95,26 @@ let manualClose = false;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 let activeEmail = "";
-let activeLmsKey = "";
+let activeToken = "";
+
+// server-issued session id (persisted so a page refresh resumes the session)
+let activeSessionId = null;
+const SESSION_STORAGE_PREFIX = "praxis.sessionId.";
+
+function loadStoredSessionId(email) {
+  try {
+    return localStorage.getItem(SESSION_STORAGE_PREFIX + email) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveStoredSessionId(email, sessionId) {
+  try {
+    if (sessionId) localStorage.setItem(SESSION_STORAGE_PREFIX + email, sessionId);
+    else localStorage.removeItem(SESSION_STORAGE_PREFIX + email);
+  } catch (_) {}
+}
 
 // ================= UTIL: LOGGING =================
 
@@ -81,6 +146,55 @@ function addTranscriptLine(role, text) {
   transcriptEl.scrollTop = transcriptEl.scrollHeight;
 }
 
+function addTranscriptImage(dataUrl) {
+  clearTranscriptIfPlaceholder();
+  const img = document.createElement("img");
+  img.className = "transcript-image";
+  img.alt = "Shared image";
+  img.src = dataUrl;
+  transcriptEl.appendChild(img);
+  transcriptEl.scrollTop = transcriptEl.scrollHeight;
+}
+
+function updateLiveAssistantLine(delta) {
+  clearTranscriptIfPlaceholder();
+  if (!liveAssistantLine) {
+    liveAssistantLine = document.createElement("div");
+    liveAssistantLine.className = "transcript-line assistant streaming";
+    transcriptEl.appendChild(liveAssistantLine);
+    liveAssistantText = "";
+  }
+  liveAssistantText += delta;
+  liveAssistantLine.textContent = "Praxis: " + liveAssistantText;
+  transcriptEl.scrollTop = transcriptEl.scrollHeight;
+}
+
+function clearLiveAssistantLine() {
+  if (liveAssistantLine) {
+    liveAssistantLine.remove();
+    liveAssistantLine = null;
+  }
+  liveAssistantText = "";
+}
+
+function setLiveUserLine(text) {
+  clearTranscriptIfPlaceholder();
+  if (!liveUserLine) {
+    liveUserLine = document.createElement("div");
+    liveUserLine.className = "transcript-line user streaming";
+    transcriptEl.appendChild(liveUserLine);
+  }
+  liveUserLine.textContent = "You: " + text;
+  transcriptEl.scrollTop = transcriptEl.scrollHeight;
+}
+
+function clearLiveUserLine() {
+  if (liveUserLine) {
+    liveUserLine.remove();
+    liveUserLine = null;
+  }
+}
+
 // ================= YOUTUBE PREVIEW (fallback for plain URLs) =================
 
 function extractYoutubeLinks(text) {
@@ -186,27 +300,32 @@ function updateQuizScoreDisplay() {
   }
 }
 
-function renderQuiz(quiz) {
-  if (!quizArea) return;
-
-  const ph = quizArea.querySelector(".placeholder");
-  if (ph) ph.remove();
+function findQuizCard(quizId, questionIndex) {
+  if (!quizArea) return null;
+  return Array.from(quizArea.querySelectorAll(".quiz-card")).find(
+    (el) =>
+      el.dataset.quizId === quizId &&
+      el.dataset.questionIndex === String(questionIndex)
+  );
+}
 
-  const card = document.createElement("div");
-  card.className = "quiz-card";
+const QUIZ_TYPE_LABELS = {
+  true_false: "True or false",
+  fill_blank: "Fill in the blank",
+  code_output: "What does this code output?",
+  ordering: "Put these in order",
+};
 
-  const questionEl = document.createElement("div");
-  questionEl.className = "quiz-question";
-  questionEl.textContent = quiz.question;
-  card.appendChild(questionEl);
+// Per-card answer controls: { getAnswer(), showAnswer(answer) }
+const quizCardControls = new WeakMap();
 
+function renderChoiceQuestion(card, quizId, question) {
   const optionsWrap = document.createElement("div");
   optionsWrap.className = "quiz-options";
 
-  const name =
-    "quiz-" + Date.now() + "-" + Math.random().toString(36).slice(2);
+  const name = `quiz-${quizId}-${question.index}`;
 
-  quiz.options.forEach((opt, idx) => {
+  question.options.forEach((opt, idx) => {
     const optId = `${name}-${idx}`;
 
     const label = document.createElement("label");
@@ -228,6 +347,153 @@ function renderQuiz(quiz) {
 
   card.appendChild(optionsWrap);
 
+  const radios = () => optionsWrap.querySelectorAll("input[type=radio]");
+  return {
+    getAnswer() {
+      const selected = optionsWrap.querySelector("input[type=radio]:checked");
+      return selected ? parseInt(selected.value, 10) : null;
+    },
+    showAnswer(answer) {
+      radios().forEach((input) => {
+        input.disabled = true;
+        if (parseInt(input.value, 10) === answer) input.checked = true;
+      });
+    },
+  };
+}
+
+function renderTextQuestion(card, quizId, question, placeholder) {
+  const input = document.createElement(
+    question.type === "code_output" ? "textarea" : "input"
+  );
+  input.className = "quiz-text-answer";
+  input.placeholder = placeholder;
+  if (input.tagName === "TEXTAREA") input.rows = 2;
+  else input.type = "text";
+  card.appendChild(input);
+
+  return {
+    getAnswer() {
+      const value = input.value.trim();
+      return value ? value : null;
+    },
+    showAnswer(answer) {
+      input.disabled = true;
+      if (typeof answer === "string") input.value = answer;
+    },
+  };
+}
+
+function renderCodeQuestion(card, quizId, question) {
+  const pre = document.createElement("pre");
+  pre.className = "quiz-code";
+  const code = document.createElement("code");
+  code.textContent = question.code || "";
+  pre.appendChild(code);
+  card.appendChild(pre);
+
+  return renderTextQuestion(card, quizId, question, "Type the exact output");
+}
+
+// Steps are listed in the (shuffled) order the server sent; the student moves
+// them up and down. The answer is the option indices in the chosen order.
+function renderOrderingQuestion(card, quizId, question) {
+  const list = document.createElement("ol");
+  list.className = "quiz-order-list";
+  card.appendChild(list);
+
+  let order = question.options.map((_, i) => i);
+  let locked = false;
+
+  const move = (pos, delta) => {
+    const target = pos + delta;
+    if (locked || target < 0 || target >= order.length) return;
+    [order[pos], order[target]] = [order[target], order[pos]];
+    draw();
+  };
+
+  function draw() {
+    list.innerHTML = "";
+    order.forEach((optIdx, pos) => {
+      const li = document.createElement("li");
+      li.className = "quiz-order-item";
+
+      const text = document.createElement("span");
+      text.textContent = question.options[optIdx];
+      li.appendChild(text);
+
+      [
+        ["↑", -1, "Move up"],
+        ["↓", 1, "Move down"],
+      ].forEach(([symbol, delta, title]) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "quiz-order-move";
+        btn.textContent = symbol;
+        btn.title = title;
+        btn.disabled = locked || pos + delta < 0 || pos + delta >= order.length;
+        btn.addEventListener("click", () => move(pos, delta));
+        li.appendChild(btn);
+      });
+
+      list.appendChild(li);
+    });
+  }
+
+  draw();
+
+  return {
+    getAnswer() {
+      return order.slice();
+    },
+    showAnswer(answer) {
+      locked = true;
+      if (Array.isArray(answer) && answer.length === order.length) {
+        order = answer.slice();
+      }
+      draw();
+    },
+  };
+}
+
+const QUIZ_RENDERERS = {
+  mcq: renderChoiceQuestion,
+  true_false: renderChoiceQuestion,
+  fill_blank: (card, quizId, question) =>
+    renderTextQuestion(card, quizId, question, "Type the missing word(s)"),
+  code_output: renderCodeQuestion,
+  ordering: renderOrderingQuestion,
+};
+
+// Questions come without answers; grading happens on the server (quiz_answer).
+function renderQuiz(quizId, question) {
+  if (!quizArea) return;
+
+  const ph = quizArea.querySelector(".placeholder");
+  if (ph) ph.remove();
+
+  const type = QUIZ_RENDERERS[question.type] ? question.type : "mcq";
+
+  const card = document.createElement("div");
+  card.className = `quiz-card quiz-${type}`;
+  card.dataset.quizId = quizId;
+  card.dataset.questionIndex = String(question.index);
+
+  if (QUIZ_TYPE_LABELS[type]) {
+    const typeEl = document.createElement("div");
+    typeEl.className = "quiz-type";
+    typeEl.textContent = QUIZ_TYPE_LABELS[type];
+    card.appendChild(typeEl);
+  }
+
+  const questionEl = document.createElement("div");
+  questionEl.className = "quiz-question";
+  questionEl.textContent = `${question.index + 1}. ${question.question}`;
+  card.appendChild(questionEl);
+
+  const controls = QUIZ_RENDERERS[type](card, quizId, question);
+  quizCardControls.set(card, controls);
+
   const submitBtn = document.createElement("button");
   submitBtn.className = "btn btn-primary quiz-submit";
   submitBtn.textContent = "Submit answer";
@@ -236,29 +502,22 @@ function renderQuiz(quiz) {
   feedbackEl.className = "quiz-feedback";
 
   submitBtn.addEventListener("click", () => {
-    const selected = card.querySelector("input[type=radio]:checked");
-    if (!selected) {
-      feedbackEl.textContent = "Please choose an option.";
+    const answer = controls.getAnswer();
+    if (answer === null) {
+      feedbackEl.textContent =
+        type === "mcq" || type === "true_false"
+          ? "Please choose an option."
+          : "Please type your answer.";
       feedbackEl.classList.remove("correct", "incorrect");
       return;
     }
 
-    const chosenIndex = parseInt(selected.value, 10);
-    quizTotal += 1;
-    if (chosenIndex === quiz.correctIndex) {
-      quizCorrect += 1;
-      feedbackEl.textContent = "Correct! " + (quiz.explanation || "");
-      feedbackEl.classList.remove("incorrect");
-      feedbackEl.classList.add("correct");
-    } else {
-      const correctLabel = quiz.options[quiz.correctIndex] || "";
-      feedbackEl.textContent =
-        `Not quite. Correct answer: ${correctLabel}. ` +
-        (quiz.explanation || "");
-      feedbackEl.classList.remove("correct");
-      feedbackEl.classList.add("incorrect");
+    if (!sendQuizAnswerOverWS(quizId, question.index, answer)) {
+      feedbackEl.textContent = "Not connected. Please try again.";
+      return;
     }
-    updateQuizScoreDisplay();
+    feedbackEl.textContent = "Checking...";
+    feedbackEl.classList.remove("correct", "incorrect");
     submitBtn.disabled = true;
   });
 
@@ -269,6 +528,53 @@ function renderQuiz(quiz) {
   updateQuizScoreDisplay();
 }
 
+// Highlight the question Praxis is reading aloud (voice quiz mode).
+function highlightVoiceQuizQuestion(quizId, questionIndex) {
+  if (!quizArea) return;
+  quizArea
+    .querySelectorAll(".quiz-card.active")
+    .forEach((el) => el.classList.remove("active"));
+  if (!quizId) return;
+
+  const card = findQuizCard(quizId, questionIndex);
+  if (!card) return;
+  card.classList.add("active");
+  card.scrollIntoView({ block: "nearest", behavior: "smooth" });
+}
+
+function applyQuizFeedback(feedback) {
+  const card = findQuizCard(feedback.quizId, feedback.questionIndex);
+  if (!card) return;
+
+  const feedbackEl = card.querySelector(".quiz-feedback");
+  const submitBtn = card.querySelector(".quiz-submit");
+  if (submitBtn) submitBtn.disabled = true;
+  const controls = quizCardControls.get(card);
+  if (controls) {
+    controls.showAnswer(
+      feedback.answer !== undefined ? feedback.answer : feedback.chosenIndex
+    );
+  }
+
+  if (!feedback.alreadyAnswered) {
+    quizTotal += 1;
+    if (feedback.correct) quizCorrect += 1;
+  }
+
+  if (feedback.correct) {
+    feedbackEl.textContent = "Correct! " + (feedback.explanation || "");
+    feedbackEl.classList.remove("incorrect");
+    feedbackEl.classList.add("correct");
+  } else {
+    feedbackEl.textContent =
+      `Not quite. Correct answer: ${feedback.correctAnswer || ""}. ` +
+      (feedback.explanation || "");
+    feedbackEl.classList.remove("correct");
+    feedbackEl.classList.add("incorrect");
+  }
+  updateQuizScoreDisplay();
+}
+
 // ================= RESOURCES (STRUCTURED VIDEOS / ARTICLES) =================
 
 function extractResourcesFromText(text) {
@@ -372,6 +678,124 @@ function renderArticleResource(article) {
   resourcesEl.appendChild(card);
 }
 
+// ================= IMAGES: SCREENSHOT SHARING =================
+
+function stageImage(file) {
+  if (!file) return;
+  if (!IMAGE_TYPES.includes(file.type)) {
+    log(`Unsupported image type (${file.type || "unknown"}). Use PNG, JPEG, WebP or HEIC.`, true);
+    return;
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    log(`Image is too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB).`, true);
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    pendingImage = { dataUrl: reader.result, mimeType: file.type, name: file.name || "" };
+    imagePreviewImg.src = reader.result;
+    imagePreview.classList.remove("hidden");
+    imageQuestionInput.focus();
+    log(`Image ready to send${file.name ? `: ${file.name}` : ""}.`);
+  };
+  reader.onerror = () => log("Could not read that image.", true);
+  reader.readAsDataURL(file);
+}
+
+function clearStagedImage() {
+  pendingImage = null;
+  imageFileInput.value = "";
+  imageQuestionInput.value = "";
+  imagePreviewImg.removeAttribute("src");
+  imagePreview.classList.add("hidden");
+}
+
+function sendStagedImage() {
+  if (!pendingImage) return;
+  if (!ws || ws.readyState !== WebSocket.OPEN || !wsReady) {
+    log("Start a session before sharing an image.", true);
+    return;
+  }
+
+  const question = imageQuestionInput.value.trim();
+  const requestId = makeRequestId();
+  lastRequestId = requestId;
+  ws.send(
+    JSON.stringify({
+      type: "user_image",
+      text: question,
+      image: {
+        data: pendingImage.dataUrl,
+        mimeType: pendingImage.mimeType,
+        name: pendingImage.name,
+      },
+      requestId,
+    })
+  );
+
+  log(`You shared an image${question ? `: ${question}` : "."}`);
+  addTranscriptLine("user", question || "(shared an image)");
+  addTranscriptImage(pendingImage.dataUrl);
+  // the server keeps a marker in history, not the image
+  conversationHistory.push({ role: "user", text: question || "(shared an image)" });
+  stopCurrentAudio();
+  clearStagedImage();
+}
+
+// ================= FILES: DATASETS, NOTEBOOKS, SQL =================
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function uploadDocument(file) {
+  if (!file) return;
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (!DOCUMENT_EXTENSIONS.includes(ext)) {
+    log("Unsupported file type. Attach a .csv, .xlsx, .ipynb or .sql file.", true);
+    return;
+  }
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    log(`File is too large (max ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB).`, true);
+    return;
+  }
+  if (!activeSessionId || !wsReady) {
+    log("Start a session before attaching a file.", true);
+    return;
+  }
+
+  documentBtn.disabled = true;
+  log(`Uploading ${file.name}...`);
+  try {
+    const res = await fetch(
+      `${API_BASE}/api/sessions/${encodeURIComponent(activeSessionId)}/documents`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${activeToken}`,
+        },
+        body: JSON.stringify({
+          file: { name: file.name, data: await readFileAsDataUrl(file) },
+        }),
+      }
+    );
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `Upload failed (${res.status})`);
+  } catch (err) {
+    log(`Could not attach ${file.name}: ${err.message}`, true);
+  } finally {
+    documentBtn.disabled = !wsReady;
+    documentFileInput.value = "";
+  }
+}
+
 // ================= AUDIO: Web Audio API (iOS-friendly TTS) =================
 
 function ensureAudioContext() {
@@ -405,55 +829,83 @@ function ensureAudioContext() {
   return audioCtx;
 }
 
+// Flushes the whole chunk queue (barge-in), not just the current chunk.
 function stopCurrentAudio() {
-  if (currentAudioSource) {
+  audioGeneration += 1;
+  audioDecodeChain = Promise.resolve();
+  for (const source of scheduledSources) {
     try {
-      currentAudioSource.stop();
+      source.onended = null;
+      source.stop();
     } catch (_) {}
     try {
-      currentAudioSource.disconnect();
+      source.disconnect();
     } catch (_) {}
-    currentAudioSource = null;
   }
+  scheduledSources = [];
+  nextChunkStartTime = 0;
   speakingIndicator.classList.add("hidden");
 }
 
-async function playAssistantAudio(base64Audio, mimeType) {
-  stopCurrentAudio();
-  if (!base64Audio) return;
+function isAssistantSpeaking() {
+  return scheduledSources.length > 0;
+}
 
-  const ctx = ensureAudioContext();
-  if (!ctx) return;
+function decodeBase64Audio(ctx, base64Audio) {
+  // Decode base64 → ArrayBuffer
+  const binary = atob(base64Audio);
+  const len = binary.length;
+  const bytes = new Uint8Array(len);
+  for (let i = 0; i < len; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return ctx.decodeAudioData(bytes.buffer);
+}
 
-  try {
-    // Decode base64 → ArrayBuffer
-    const binary = atob(base64Audio);
-    const len = binary.length;
-    const bytes = new Uint8Array(len);
-    for (let i = 0; i < len; i++) {
-      bytes[i] = binary.charCodeAt(i);
+function scheduleAudioBuffer(ctx, audioBuffer) {
+  const source = ctx.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(ctx.destination);
+
+  // start exactly where the previous chunk ends → gapless playback
+  const startAt = Math.max(ctx.currentTime, nextChunkStartTime);
+  nextChunkStartTime = startAt + audioBuffer.duration;
+
+  source.onended = () => {
+    scheduledSources = scheduledSources.filter((s) => s !== source);
+    if (!scheduledSources.length) {
+      speakingIndicator.classList.add("hidden");
     }
+  };
 
-    const audioBuffer = await ctx.decodeAudioData(bytes.buffer);
+  scheduledSources.push(source);
+  speakingIndicator.classList.remove("hidden");
+  source.start(startAt);
+}
 
-    const source = ctx.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(ctx.destination);
+// Chunks are decoded one after another so they are scheduled in arrival order.
+function enqueueAssistantAudio(base64Audio) {
+  if (!base64Audio) return;
 
-    source.onended = () => {
-      speakingIndicator.classList.add("hidden");
-      currentAudioSource = null;
-    };
+  const ctx = ensureAudioContext();
+  if (!ctx) return;
 
-    speakingIndicator.classList.remove("hidden");
-    currentAudioSource = source;
-    source.start(0);
-  } catch (err) {
-    console.error("WebAudio playback failed:", err);
-    log("Audio playback failed: " + err.message, true);
-    speakingIndicator.classList.add("hidden");
-    currentAudioSource = null;
-  }
+  const generation = audioGeneration;
+  audioDecodeChain = audioDecodeChain.then(async () => {
+    try {
+      const audioBuffer = await decodeBase64Audio(ctx, base64Audio);
+      if (generation !== audioGeneration) return; // flushed while decoding
+      scheduleAudioBuffer(ctx, audioBuffer);
+    } catch (err) {
+      console.error("WebAudio playback failed:", err);
+      log("Audio playback failed: " + err.message, true);
+    }
+  });
+}
+
+async function playAssistantAudio(base64Audio, mimeType) {
+  stopCurrentAudio();
+  enqueueAssistantAudio(base64Audio);
 }
 
 // ================= STT: PUSH-TO-TALK with silence detection =================
@@ -591,6 +1043,11 @@ function initSTT() {
 }
 
 function startTalkSession() {
+  if (USE_SERVER_STT) {
+    startServerTalkSession();
+    return;
+  }
+
   if (!recognition) {
     recognition = initSTT();
   }
@@ -619,6 +1076,10 @@ function cancelTalkSession() {
   hasHeardSpeech = false;
   clearSilenceTimer();
 
+  if (USE_SERVER_STT) {
+    stopMicCapture(true);
+  }
+
   if (recognition && sttActive) {
     try {
       recognition.stop();
@@ -632,6 +1093,104 @@ function cancelTalkSession() {
   talkBtn.textContent = "🎙️ Talk";
 }
 
+// ================= STT: SERVER-SIDE (binary PCM frames over /ws) =================
+
+function downsampleToInt16(input, inputRate, outputRate) {
+  const ratio = inputRate / outputRate;
+  const outLength = Math.floor(input.length / ratio);
+  const out = new Int16Array(outLength);
+  for (let i = 0; i < outLength; i++) {
+    const s = Math.max(-1, Math.min(1, input[Math.floor(i * ratio)]));
+    out[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+  }
+  return out;
+}
+
+async function startServerTalkSession() {
+  if (sttActive) return;
+  if (!ws || ws.readyState !== WebSocket.OPEN || !wsReady) {
+    log("WebSocket not ready; cannot start listening.", true);
+    return;
+  }
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    log("Microphone access is not supported in this browser.", true);
+    return;
+  }
+
+  const ctx = ensureAudioContext();
+  if (!ctx) return;
+
+  talkSessionActive = true;
+  sttActive = true;
+  talkBtn.classList.add("listening");
+  talkBtn.textContent = "Stop Listening";
+
+  try {
+    micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (err) {
+    console.error("getUserMedia error:", err);
+    log("Microphone permission denied: " + err.message, true);
+    cancelTalkSession();
+    return;
+  }
+
+  const requestId = makeRequestId();
+  lastRequestId = requestId;
+  ws.send(
+    JSON.stringify({
+      type: "stt_start",
+      encoding: "LINEAR16",
+      sampleRateHertz: STT_SAMPLE_RATE,
+      requestId,
+    })
+  );
+
+  micSource = ctx.createMediaStreamSource(micStream);
+  micProcessor = ctx.createScriptProcessor(4096, 1, 1);
+  micProcessor.onaudioprocess = (e) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const pcm = downsampleToInt16(
+      e.inputBuffer.getChannelData(0),
+      ctx.sampleRate,
+      STT_SAMPLE_RATE
+    );
+    ws.send(pcm.buffer);
+  };
+  micSource.connect(micProcessor);
+  micProcessor.connect(ctx.destination);
+
+  log("Listening... start speaking when you're ready.");
+}
+
+function stopMicCapture(sendStop) {
+  if (micProcessor) {
+    micProcessor.onaudioprocess = null;
+    try {
+      micProcessor.disconnect();
+    } catch (_) {}
+    micProcessor = null;
+  }
+  if (micSource) {
+    try {
+      micSource.disconnect();
+    } catch (_) {}
+    micSource = null;
+  }
+  if (micStream) {
+    micStream.getTracks().forEach((t) => t.stop());
+    micStream = null;
+
+    if (sendStop && ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: "stt_stop" }));
+    }
+  }
+
+  sttActive = false;
+  talkSessionActive = false;
+  talkBtn.classList.remove("listening");
+  talkBtn.textContent = "🎙️ Talk";
+}
+
 // ================= WS: TALKING TO BACKEND =================
 
 function makeRequestId() {
@@ -656,17 +1215,90 @@ function sendUserTextOverWS(text) {
   );
 }
 
-function handleUserUtterance(transcript) {
+// `answer` is an option index, typed text or an ordering, by question type.
+function sendQuizAnswerOverWS(quizId, questionIndex, answer) {
+  if (!ws || ws.readyState !== WebSocket.OPEN || !wsReady) return false;
+  ws.send(
+    JSON.stringify({
+      type: "quiz_answer",
+      quizId,
+      questionIndex,
+      answer,
+    })
+  );
+  return true;
+}
+
+function recordUserUtterance(transcript) {
   log(`You: ${transcript}`);
   addTranscriptLine("user", transcript);
   conversationHistory.push({ role: "user", text: transcript });
 
   // manual barge-in: stop any AI speech
   stopCurrentAudio();
+}
 
+function handleUserUtterance(transcript) {
+  recordUserUtterance(transcript);
   sendUserTextOverWS(transcript);
 }
 
+function handleAssistantReply(msg) {
+  const aiText = msg.text || "";
+  log("Praxis replied.");
+
+  // the final frame replaces whatever was streamed so far
+  clearLiveAssistantLine();
+
+  // 1) Strip stray QUIZ lines (quizzes arrive as separate "quiz" frames)
+  const { cleanText: noQuizText } = extractQuizzesFromText(aiText);
+
+  // 2) Strip structured VIDEO / ARTICLE lines
+  const {
+    cleanText: finalText,
+    videos,
+    articles,
+  } = extractResourcesFromText(noQuizText);
+
+  // 3) Show the remaining natural language in transcript
+  if (finalText) {
+    addTranscriptLine("assistant", finalText);
+    // history keeps the exact text the server signed, or it is dropped on reconnect
+    conversationHistory.push({ role: "assistant", text: aiText, signature: msg.signature });
+
+    // still auto-detect bare YouTube links in the remaining text
+    const ytLinks = extractYoutubeLinks(finalText);
+    ytLinks.forEach(renderYoutubePreview);
+  }
+
+  // 4) Render structured resources
+  videos.forEach(renderVideoResource);
+  articles.forEach(renderArticleResource);
+
+  // 5) Play TTS audio if present
+  if (msg.audio) {
+    playAssistantAudio(msg.audio, msg.audioMime);
+  }
+}
+
+// Re-render a resumed session's stored transcript (e.g. after a page refresh).
+function restoreTranscript(history) {
+  for (const h of history) {
+    if (!h || !h.text) continue;
+    if (h.role === "assistant") {
+      const { cleanText: noQuizText } = extractQuizzesFromText(h.text);
+      const { cleanText } = extractResourcesFromText(noQuizText);
+      if (!cleanText) continue;
+      addTranscriptLine("assistant", cleanText);
+      // history keeps the exact text the server signed
+      conversationHistory.push({ role: "assistant", text: h.text, signature: h.signature });
+    } else {
+      addTranscriptLine("user", h.text);
+      conversationHistory.push({ role: "user", text: h.text });
+    }
+  }
+}
+
 function openWebSocket() {
   if (!activeEmail) {
     log("Cannot open WebSocket: missing activeEmail", true);
@@ -688,9 +1320,12 @@ function openWebSocket() {
     ws.send(
       JSON.stringify({
         type: "start",
+        token: activeToken,
         student_email: activeEmail,
-        lmsKey: activeLmsKey || undefined,
-        history: conversationHistory,
+        sessionId: activeSessionId || undefined,
+        // the server already has the transcript of a stored session
+        history: activeSessionId ? undefined : conversationHistory,
+        stream: true,
       })
     );
 
@@ -719,50 +1354,127 @@ function openWebSocket() {
     }
 
     if (msg.type === "ready") {
+      if (msg.sessionId) {
+        activeSessionId = msg.sessionId;
+        saveStoredSessionId(activeEmail, activeSessionId);
+      }
+      if (msg.resumed && Array.isArray(msg.history) && !conversationHistory.length) {
+        restoreTranscript(msg.history);
+        log(`Resumed previous session (${msg.history.length} messages).`);
+      }
       log("Session ready. You can now talk to Praxis.");
       wsReady = true;
       talkBtn.disabled = false;
+      documentBtn.disabled = false;
       return;
     }
 
-    if (msg.type === "assistant_text") {
-      const aiText = msg.text || "";
-      log("Praxis replied.");
+    if (msg.type === "document_attached") {
+      const doc = msg.document || {};
+      log(`Attached ${doc.name}. Praxis can now answer questions about it.`);
+      addTranscriptLine("user", `📎 ${doc.name}`);
+      return;
+    }
 
-      // 1) Strip QUIZ lines
-      const { cleanText: noQuizText, quizzes } = extractQuizzesFromText(aiText);
+    if (msg.type === "stt_partial") {
+      setLiveUserLine(msg.text || "");
+      return;
+    }
 
-      // 2) Strip structured VIDEO / ARTICLE lines
-      const {
-        cleanText: finalText,
-        videos,
-        articles,
-      } = extractResourcesFromText(noQuizText);
+    if (msg.type === "stt_final") {
+      // the server already fed this transcript into the reply pipeline
+      stopMicCapture(false);
+      clearLiveUserLine();
+      lastRequestId = msg.requestId || lastRequestId;
+      if (msg.text) recordUserUtterance(msg.text);
+      return;
+    }
 
-      // 3) Show the remaining natural language in transcript
-      if (finalText) {
-        addTranscriptLine("assistant", finalText);
-        conversationHistory.push({ role: "assistant", text: finalText });
+    if (msg.type === "assistant_delta") {
+      if (msg.requestId && msg.requestId !== lastRequestId) return;
+      updateLiveAssistantLine(msg.delta || "");
+      return;
+    }
 
-        // still auto-detect bare YouTube links in the remaining text
-        const ytLinks = extractYoutubeLinks(finalText);
-        ytLinks.forEach(renderYoutubePreview);
-      }
+    if (msg.type === "audio_chunk") {
+      if (msg.requestId && msg.requestId !== lastRequestId) return;
+      enqueueAssistantAudio(msg.audio);
+      return;
+    }
 
-      // 4) Render quizzes & structured resources
-      quizzes.forEach(renderQuiz);
-      videos.forEach(renderVideoResource);
-      articles.forEach(renderArticleResource);
+    if (msg.type === "quiz") {
+      if (msg.requestId && msg.requestId !== lastRequestId) return;
+      const quiz = msg.quiz || {};
+      const questions = quiz.questions || [];
+      const level = quiz.kind === "review" ? "review" : quiz.difficulty || "medium";
+      log(`Quiz received (${questions.length} questions, ${level}).`);
+      questions.forEach((q) => renderQuiz(quiz.quizId, q));
+      return;
+    }
 
-      // 5) Play TTS audio if present
-      if (msg.audio) {
-        playAssistantAudio(msg.audio, msg.audioMime);
+    if (msg.type === "quiz_feedback") {
+      applyQuizFeedback(msg);
+      return;
+    }
+
+    if (msg.type === "review_due") {
+      log(`${msg.count} review item(s) due today.`);
+      return;
+    }
+
+    if (msg.type === "voice_quiz") {
+      highlightVoiceQuizQuestion(msg.active ? msg.quizId : null, msg.questionIndex);
+      return;
+    }
+
+    if (msg.type === "lesson_state") {
+      if (msg.active) {
+        log(
+          `Lesson: module ${msg.moduleNumber} "${msg.moduleTitle}", step ${msg.stepIndex + 1}/${msg.stepCount}` +
+            (msg.phase === "check" ? " (check-in question)" : "")
+        );
+      } else if (msg.status) {
+        log(`Lesson ${msg.status}: module ${msg.moduleNumber} "${msg.moduleTitle}".`);
       }
       return;
     }
 
+    if (msg.type === "assistant_text" || msg.type === "assistant_done") {
+      // a reply to a message the student has since interrupted or replaced
+      if (msg.requestId && msg.requestId !== lastRequestId) return;
+      handleAssistantReply(msg);
+      return;
+    }
+
+    if (msg.type === "cancelled") {
+      log("Stopped the previous reply.");
+      return;
+    }
+
     if (msg.type === "error") {
-      log("Backend error: " + msg.error, true);
+      // rate_limited errors carry a student-facing message and retryAfterSeconds
+      log(msg.code === "rate_limited" ? msg.error : "Backend error: " + msg.error, true);
+      if (msg.code === "unauthorized") {
+        // reconnecting with the same token would be rejected again
+        manualClose = true;
+        log("Open Praxis again from your LMS to get a new student token.", true);
+        return;
+      }
+      if (msg.quizId && quizArea) {
+        // grading failed: let the student submit the pending answer again
+        quizArea
+          .querySelectorAll(`.quiz-card[data-quiz-id="${msg.quizId}"]`)
+          .forEach((card) => {
+            const feedbackEl = card.querySelector(".quiz-feedback");
+            if (feedbackEl.textContent !== "Checking...") return;
+            feedbackEl.textContent = "Could not check your answer. Try again.";
+            card.querySelector(".quiz-submit").disabled = false;
+          });
+      }
+      if (USE_SERVER_STT && sttActive) {
+        stopMicCapture(false);
+        clearLiveUserLine();
+      }
       return;
     }
   };
@@ -800,6 +1512,8 @@ function openWebSocket() {
 
       talkBtn.disabled = true;
 
+      documentBtn.disabled = true;
+
       setTimeout(() => {
         if (sessionActive && !manualClose) {
           openWebSocket();
@@ -809,27 +1523,44 @@ function openWebSocket() {
     }
 
     emailInput.disabled = false;
-    lmsKeyInput.disabled = false;
+    studentTokenInput.disabled = false;
     startBtn.disabled = false;
     stopBtn.disabled = true;
     talkBtn.disabled = true;
+    documentBtn.disabled = true;
   };
 }
 
 // ================= SESSION CONTROL =================
 
+// Email the token was issued for (display only; the server checks the signature).
+function tokenEmail(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return String(JSON.parse(atob(payload)).sub || "");
+  } catch (_) {
+    return "";
+  }
+}
+
 function startSession() {
   const email = emailInput.value.trim();
   if (!email) {
     log("Please enter student email.", true);
     return;
   }
+  const token = studentTokenInput.value.trim();
+  if (!token) {
+    log("Please enter the student token from your LMS.", true);
+    return;
+  }
 
   // Unlock audio on a real user gesture (important for iOS)
   ensureAudioContext();
 
   activeEmail = email;
-  activeLmsKey = lmsKeyInput.value.trim() || "";
+  activeToken = token;
+  activeSessionId = loadStoredSessionId(email);
   sessionActive = true;
   manualClose = false;
   reconnectAttempts = 0;
@@ -852,22 +1583,25 @@ function startSession() {
   quizCorrect = 0;
   quizTotal = 0;
   conversationHistory = [];
+  clearLiveAssistantLine();
   wsReady = false;
   lastRequestId = null;
 
   cancelTalkSession();
 
   emailInput.disabled = true;
-  lmsKeyInput.disabled = true;
+  studentTokenInput.disabled = true;
   startBtn.disabled = true;
   stopBtn.disabled = false;
   talkBtn.disabled = true;
+  documentBtn.disabled = true;
 
   log("Connecting WebSocket...");
   openWebSocket();
 }
 
-function stopSession() {
+// keepSession: leave the stored session resumable (page unload) instead of ending it.
+function stopSession({ keepSession = false } = {}) {
   stopCurrentAudio();
   cancelTalkSession();
 
@@ -880,21 +1614,38 @@ function stopSession() {
   }
 
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify({ type: "stop" }));
+    ws.send(JSON.stringify({ type: "stop", end: !keepSession }));
     ws.close();
   }
 
+  if (!keepSession && activeEmail) {
+    saveStoredSessionId(activeEmail, null);
+    activeSessionId = null;
+  }
+
   emailInput.disabled = false;
-  lmsKeyInput.disabled = false;
+  studentTokenInput.disabled = false;
   startBtn.disabled = false;
   stopBtn.disabled = true;
   talkBtn.disabled = true;
+  documentBtn.disabled = true;
 
   log("Session stopped.");
 }
 
 // ================= BUTTON HANDLERS =================
 
+// Barge-in: stop the reply being spoken and have the server drop the rest of it.
+function interruptAssistant() {
+  stopCurrentAudio();
+  clearLiveAssistantLine();
+  if (lastRequestId && ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: "cancel", requestId: lastRequestId }));
+  }
+  // frames still in flight for the interrupted reply are ignored
+  lastRequestId = null;
+}
+
 function handleTalkClick() {
   if (!wsReady) {
     log("Session not ready yet.", true);
@@ -905,8 +1656,8 @@ function handleTalkClick() {
   ensureAudioContext();
 
   // If AI is currently speaking, interrupt it first
-  if (currentAudioSource) {
-    stopCurrentAudio();
+  if (isAssistantSpeaking()) {
+    interruptAssistant();
   }
 
   if (!talkSessionActive && !sttActive) {
@@ -921,9 +1672,38 @@ function handleTalkClick() {
 // ================= EVENT LISTENERS =================
 
 startBtn.addEventListener("click", startSession);
-stopBtn.addEventListener("click", stopSession);
+stopBtn.addEventListener("click", () => stopSession());
 talkBtn.addEventListener("click", handleTalkClick);
 
+imageBtn.addEventListener("click", () => imageFileInput.click());
+documentBtn.addEventListener("click", () => documentFileInput.click());
+documentFileInput.addEventListener("change", () => uploadDocument(documentFileInput.files[0]));
+imageFileInput.addEventListener("change", () => stageImage(imageFileInput.files[0]));
+imageSendBtn.addEventListener("click", sendStagedImage);
+imageClearBtn.addEventListener("click", clearStagedImage);
+imageQuestionInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") sendStagedImage();
+});
+
+// pasted screenshots (e.g. from the clipboard after Print Screen)
+document.addEventListener("paste", (e) => {
+  const item = Array.from(e.clipboardData ? e.clipboardData.items : []).find(
+    (i) => i.kind === "file" && i.type.startsWith("image/")
+  );
+  if (!item) return;
+  e.preventDefault();
+  stageImage(item.getAsFile());
+});
+
 window.addEventListener("beforeunload", () => {
-  stopSession();
+  stopSession({ keepSession: true });
 });
+
+if (URL_TOKEN) {
+  studentTokenInput.value = URL_TOKEN;
+  emailInput.value = tokenEmail(URL_TOKEN) || emailInput.value;
+  // keep the token out of the address bar and browser history
+  const url = new URL(window.location.href);
+  url.searchParams.delete("token");
+  window.history.replaceState(null, "", url);
+}
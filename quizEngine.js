@@ -0,0 +1,826 @@
+// quizEngine.js
+// Structured quiz generation (Gemini JSON mode + server-side validation/repair)
+// and server-side grading. Answers never leave the server: clients get toPublicQuiz().
+//
+// Question types (stored shape, answer shape):
+//   mcq          { options[4], correctIndex }       answer: option index
+//   true_false   { options ["True","False"], correctIndex }  answer: option index
+//   fill_blank   { question with "___", acceptedAnswers[] }  answer: string
+//   code_output  { code, acceptedAnswers[] }        answer: string (the printed output)
+//   ordering     { options (shuffled), correctOrder[] }      answer: option indices in order
+
+const DEFAULT_QUIZ_LENGTH = 10;
+const MAX_QUIZ_LENGTH = 20;
+const MAX_GENERATION_ATTEMPTS = 3;
+const MAX_FREE_TEXT_ANSWER = 500;
+
+const QUESTION_TYPES = ["mcq", "true_false", "fill_blank", "code_output", "ordering"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+const CHOICE_TYPES = new Set(["mcq", "true_false"]);
+const TRUE_FALSE_OPTIONS = ["True", "False"];
+const BLANK = "___";
+
+// Gemini responseSchema (OpenAPI subset) for one quiz batch.
+// One flat question object: each type uses the fields listed in buildQuizInstruction.
+const QUIZ_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    intro: {
+      type: "STRING",
+      description: "One or two short spoken sentences introducing the quiz.",
+    },
+    topic: {
+      type: "STRING",
+      description: "Short label for the quiz topic, e.g. \"SQL joins\".",
+    },
+    questions: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          type: { type: "STRING", enum: QUESTION_TYPES },
+          question: { type: "STRING" },
+          code: {
+            type: "STRING",
+            description: "code_output only: the code snippet, with real newlines.",
+          },
+          options: {
+            type: "ARRAY",
+            items: { type: "STRING" },
+            description: "mcq only: exactly 4 options.",
+          },
+          correctIndex: {
+            type: "INTEGER",
+            description: "mcq: 0-based index of the right option. true_false: 0 = true, 1 = false.",
+          },
+          answer: {
+            type: "STRING",
+            description: "fill_blank: the missing word(s). code_output: the exact output.",
+          },
+          acceptedAnswers: {
+            type: "ARRAY",
+            items: { type: "STRING" },
+            description: "fill_blank only: other correct spellings or synonyms.",
+          },
+          steps: {
+            type: "ARRAY",
+            items: { type: "STRING" },
+            description: "ordering only: 3 to 6 steps in the CORRECT order.",
+          },
+          explanation: { type: "STRING" },
+          topic: {
+            type: "STRING",
+            description: "Short label of the concept this question tests.",
+          },
+        },
+        required: ["type", "question", "explanation", "topic"],
+        propertyOrdering: [
+          "type",
+          "question",
+          "code",
+          "options",
+          "correctIndex",
+          "answer",
+          "acceptedAnswers",
+          "steps",
+          "explanation",
+          "topic",
+        ],
+      },
+    },
+  },
+  required: ["intro", "topic", "questions"],
+  propertyOrdering: ["intro", "topic", "questions"],
+};
+
+const cleanText = (v) => String(v == null ? "" : v).replace(/\s+/g, " ").trim();
+
+// "B) pandas" / "2. pandas" / "(c) pandas" → "pandas"
+const stripOptionLabel = (s) => s.replace(/^\(?[A-Da-d1-6][).:]\s+/, "");
+
+const hasDuplicates = (items) =>
+  new Set(items.map((o) => o.toLowerCase())).size !== items.length;
+
+function normalizeCorrectIndex(value, optionCount) {
+  let idx = value;
+  if (typeof idx === "string") {
+    const c = idx.trim();
+    idx = /^[A-Da-d]$/.test(c) ? c.toUpperCase().charCodeAt(0) - 65 : Number(c);
+  }
+  return Number.isInteger(idx) && idx >= 0 && idx < optionCount ? idx : null;
+}
+
+// answer + acceptedAnswers → distinct non-empty list, primary answer first
+function collectAcceptedAnswers(raw, clean = cleanText) {
+  const list = [raw.answer, ...(Array.isArray(raw.acceptedAnswers) ? raw.acceptedAnswers : [])]
+    .map((a) => clean(a))
+    .filter(Boolean);
+  const seen = new Set();
+  return list.filter((a) => {
+    const key = a.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Code and its output keep their line breaks; only trailing space is dropped.
+const cleanCode = (v) =>
+  String(v == null ? "" : v)
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((l) => l.replace(/\s+$/, ""))
+    .join("\n")
+    .replace(/^\n+|\n+$/g, "");
+
+// Shuffle ordering steps so the displayed order is never already the answer.
+function shuffleSteps(steps, random = Math.random) {
+  const order = steps.map((_, i) => i);
+  do {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  } while (order.every((v, i) => v === i));
+
+  const options = order.map((i) => steps[i]);
+  // correctOrder[k] = position in `options` of the k-th correct step
+  const correctOrder = steps.map((_, k) => order.indexOf(k));
+  return { options, correctOrder };
+}
+
+const TYPE_NORMALIZERS = {
+  mcq(raw) {
+    if (!Array.isArray(raw.options) || raw.options.length !== 4) return null;
+    const options = raw.options.map((o) => stripOptionLabel(cleanText(o)));
+    if (options.some((o) => !o) || hasDuplicates(options)) return null;
+
+    const correctIndex = normalizeCorrectIndex(raw.correctIndex, options.length);
+    if (correctIndex === null) return null;
+    return { options, correctIndex };
+  },
+
+  true_false(raw) {
+    let correctIndex = normalizeCorrectIndex(raw.correctIndex, 2);
+    const said = cleanText(raw.answer).toLowerCase();
+    if (said === "true") correctIndex = 0;
+    else if (said === "false") correctIndex = 1;
+    if (correctIndex === null) return null;
+    return { options: [...TRUE_FALSE_OPTIONS], correctIndex };
+  },
+
+  fill_blank(raw, question) {
+    // any run of 3+ underscores (or "[blank]") is the blank
+    const withBlank = question.replace(/_{3,}|\[blank\]/gi, BLANK);
+    if (withBlank.split(BLANK).length !== 2) return null;
+
+    const acceptedAnswers = collectAcceptedAnswers(raw);
+    if (!acceptedAnswers.length) return null;
+    return { question: withBlank, acceptedAnswers };
+  },
+
+  code_output(raw) {
+    const code = cleanCode(raw.code);
+    if (!code) return null;
+
+    const acceptedAnswers = collectAcceptedAnswers(raw, cleanCode);
+    if (!acceptedAnswers.length) return null;
+    return { code, acceptedAnswers };
+  },
+
+  ordering(raw) {
+    if (!Array.isArray(raw.steps)) return null;
+    const steps = raw.steps.map((s) => stripOptionLabel(cleanText(s)));
+    if (steps.length < 3 || steps.length > 6) return null;
+    if (steps.some((s) => !s) || hasDuplicates(steps)) return null;
+    return shuffleSteps(steps);
+  },
+};
+
+/**
+ * Validate one question and repair what can be repaired safely
+ * (whitespace, "A) " labels, letter or numeric-string answers, blank markers).
+ * Questions without a type are treated as mcq.
+ *
+ * @returns {object|null} normalized question, or null if unusable
+ */
+function normalizeQuizQuestion(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const type = raw.type == null || raw.type === "" ? "mcq" : cleanText(raw.type).toLowerCase();
+  if (!TYPE_NORMALIZERS[type]) return null;
+
+  let question = cleanText(raw.question);
+  if (type === "true_false") question = question.replace(/^true or false[:?,]?\s*/i, "");
+  if (!question) return null;
+
+  const fields = TYPE_NORMALIZERS[type](raw, question);
+  if (!fields) return null;
+
+  return {
+    type,
+    question,
+    ...fields,
+    explanation: cleanText(raw.explanation),
+    topic: cleanText(raw.topic),
+  };
+}
+
+function parseQuizJson(text) {
+  const raw = String(text || "").trim();
+  // tolerate ```json fences if the model adds them anyway
+  const body = raw.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  return JSON.parse(body);
+}
+
+// -----------------------------------------------------------------------------
+// Quiz requests — length, topic, difficulty and types from the student's words
+// -----------------------------------------------------------------------------
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+  single: 1, couple: 2, few: 3,
+};
+
+const DIFFICULTY_WORDS = [
+  ["easy", /\b(easy|easier|simple|basic|beginner|gentle)\b/],
+  ["hard", /\b(hard|harder|difficult|tough|challenging|advanced|tricky)\b/],
+  ["medium", /\b(medium|moderate|intermediate|normal)\b/],
+];
+
+const TYPE_WORDS = [
+  ["true_false", /\btrue[\s/-]*(or|and|\/)?[\s/-]*false\b|\bt\/f\b/],
+  ["fill_blank", /\bfill[\s-]*in[\s-]*(the[\s-]*)?blanks?\b|\bblanks?\b/],
+  ["code_output", /\b(code[\s-]*output|output of (the |this )?code|what (does|will) (this|the) code (print|output))\b/],
+  ["ordering", /\b(ordering|order the steps|put (them |these |the steps )?in order|sequence)\b/],
+  ["mcq", /\b(mcqs?|multiple[\s-]*choice)\b/],
+];
+
+// Words that say "this is a quiz", not what it is about.
+const QUIZ_FILLER =
+  /\b(give|me|can|could|you|please|quiz|quizzes|test|tests|practice|questions?|qs|mcqs?|some|a|an|the|my|on|about|of|for|with|more|another|quick|short|little|set|let'?s|do|i|want|need|would|like|to|and)\b/g;
+
+/**
+ * Read what the student asked for: "give me 5 hard SQL questions",
+ * "quiz me on pivot tables", "10 true or false questions about pandas".
+ * Anything not mentioned comes back null (count falls back to the default).
+ *
+ * @returns {{ count: number, topic: string|null, difficulty: string|null, types: string[]|null }}
+ */
+function parseQuizRequest(text) {
+  const t = String(text || "").toLowerCase().replace(/[?!.]+/g, " ");
+
+  let count = DEFAULT_QUIZ_LENGTH;
+  const countMatch = t.match(
+    new RegExp(
+      `\\b(\\d{1,3}|${Object.keys(NUMBER_WORDS).join("|")})(?:[\\s-]+[a-z/-]+){0,5}?[\\s-]+(questions?|qs|mcqs?|quiz|items)\\b`
+    )
+  );
+  if (countMatch) {
+    const n = /^\d+$/.test(countMatch[1])
+      ? Number(countMatch[1])
+      : NUMBER_WORDS[countMatch[1]];
+    if (n) count = Math.min(Math.max(n, 1), MAX_QUIZ_LENGTH);
+  }
+
+  const difficulty = (DIFFICULTY_WORDS.find(([, re]) => re.test(t)) || [null])[0];
+
+  const types = TYPE_WORDS.filter(([, re]) => re.test(t)).map(([type]) => type);
+
+  // topic: "on/about/covering X", else the words in front of "questions"
+  let topicText = "";
+  const about = t.match(/\b(?:on|about|covering|regarding)\s+(.+)$/);
+  if (about) {
+    topicText = about[1].replace(/[,;].*$|\b(with|using|that|and make|at)\b.*$/, "");
+  } else {
+    const before = t.match(/^(.*?)\b(questions?|qs|mcqs?|quiz)\b/);
+    if (before) topicText = before[1];
+  }
+  for (const [, re] of [...DIFFICULTY_WORDS, ...TYPE_WORDS]) {
+    topicText = topicText.replace(new RegExp(re.source, "g"), " ");
+  }
+  if (countMatch) topicText = topicText.replace(new RegExp(`\\b${countMatch[1]}\\b`), " ");
+  const topic = cleanText(topicText.replace(QUIZ_FILLER, " "));
+
+  return {
+    count,
+    topic: topic.length >= 2 ? topic : null,
+    difficulty,
+    types: types.length ? types : null,
+  };
+}
+
+/**
+ * Pick the next quiz difficulty from the student's recent graded attempts
+ * (oldest first): step up after >= 80% correct, down after < 50%.
+ *
+ * @param {object[]} attempts  recent attempts, each { correct, difficulty? }
+ * @returns {{ difficulty: string, accuracy: number|null, basedOn: number }}
+ */
+function chooseQuizDifficulty(attempts, { minAttempts = 5 } = {}) {
+  const recent = (attempts || []).slice(-20);
+  const last = recent.length ? recent[recent.length - 1].difficulty : null;
+  const current = DIFFICULTIES.includes(last) ? last : "medium";
+
+  if (recent.length < minAttempts) {
+    return { difficulty: current, accuracy: null, basedOn: recent.length };
+  }
+
+  const accuracy = recent.filter((a) => a.correct).length / recent.length;
+  let level = DIFFICULTIES.indexOf(current);
+  if (accuracy >= 0.8) level = Math.min(level + 1, DIFFICULTIES.length - 1);
+  else if (accuracy < 0.5) level = Math.max(level - 1, 0);
+
+  return { difficulty: DIFFICULTIES[level], accuracy, basedOn: recent.length };
+}
+
+const DIFFICULTY_GUIDE = {
+  easy: "EASY: definitions and single-step recall; obvious distractors; short code.",
+  medium: "MEDIUM: applying a concept to a small scenario; plausible distractors.",
+  hard: "HARD: multi-step reasoning, edge cases and common misconceptions; close distractors.",
+};
+
+const TYPE_GUIDE = {
+  mcq: '- "mcq": "options" with exactly 4 distinct options (no "A)" labels) and a 0-based "correctIndex".',
+  true_false: '- "true_false": a statement in "question" and "correctIndex" 0 if it is true, 1 if it is false.',
+  fill_blank: '- "fill_blank": "question" contains exactly one blank written as ___; "answer" is the missing word(s) and "acceptedAnswers" lists other correct forms.',
+  code_output: '- "code_output": a short snippet in "code" (at most 10 lines) and its exact printed output in "answer". Only for programming topics (Python, SQL, JavaScript, ...).',
+  ordering: '- "ordering": 3 to 6 "steps" listed in the CORRECT order; "question" says what is being ordered.',
+};
+
+function buildQuizInstruction({ count, topic, difficulty, types }, existingQuestions) {
+  const allowed = types && types.length ? types : QUESTION_TYPES;
+  const mix =
+    allowed.length === 1
+      ? `Every question must be of type "${allowed[0]}".`
+      : types
+        ? `Use only these types: ${allowed.join(", ")}.`
+        : 'Mostly "mcq", plus other types where they suit the topic (at least two non-mcq questions once the quiz has 5 or more).';
+
+  const avoid = existingQuestions.length
+    ? `\nDo NOT repeat or rephrase these questions you already asked:\n${existingQuestions
+        .map((q) => `- ${q}`)
+        .join("\n")}`
+    : "";
+
+  return `
+[QUIZ MODE]
+The student has explicitly requested a quiz or test in their most recent message.
+
+Respond ONLY with JSON matching the provided schema:
+- "intro": one or two short, friendly sentences that will be spoken aloud. No questions in it.
+- "topic": a short label for what the quiz covers.
+- "questions": EXACTLY ${count} questions on ${
+    topic ? `"${topic}" within` : "the topic they asked about in"
+  } the student's enrolled course(s).
+- Difficulty: ${DIFFICULTY_GUIDE[difficulty] || DIFFICULTY_GUIDE.medium}
+- Question types: ${mix} Fields per type:
+${allowed.map((t) => TYPE_GUIDE[t]).join("\n")}
+- Every question has a "type", a one or two sentence "explanation" and a short concept "topic".${avoid}
+`;
+}
+
+/**
+ * Generate a quiz with exactly `count` valid questions.
+ * Missing questions are re-requested (up to MAX_GENERATION_ATTEMPTS batches).
+ * An aborted request or a used-up quota (`err.rateLimited`) is rethrown, not retried.
+ *
+ * @param {object} opts
+ * @param {function} opts.generateJson  async ({ systemInstruction, responseSchema, maxTokens }) => string
+ * @param {string} opts.systemInstruction  tutor instruction (context header etc.)
+ * @param {number} [opts.count]
+ * @param {string} [opts.topic]        requested topic, if any
+ * @param {string} [opts.difficulty]   easy | medium | hard
+ * @param {string[]} [opts.types]      allowed question types (default: mixed)
+ * @returns {Promise<{ intro: string, topic: string, difficulty: string, questions: object[] }>}
+ */
+async function generateQuiz({
+  generateJson,
+  systemInstruction,
+  count = DEFAULT_QUIZ_LENGTH,
+  topic: requestedTopic = null,
+  difficulty = "medium",
+  types = null,
+}) {
+  const questions = [];
+  const seen = new Set();
+  let intro = "";
+  let topic = "";
+
+  for (
+    let attempt = 1;
+    attempt <= MAX_GENERATION_ATTEMPTS && questions.length < count;
+    attempt++
+  ) {
+    const missing = count - questions.length;
+
+    let parsed;
+    try {
+      const text = await generateJson({
+        systemInstruction: `${systemInstruction}\n\n${buildQuizInstruction(
+          { count: missing, topic: requestedTopic, difficulty, types },
+          questions.map((q) => q.question)
+        )}`,
+        responseSchema: QUIZ_RESPONSE_SCHEMA,
+        maxTokens: 512 + missing * 400,
+      });
+      parsed = parseQuizJson(text);
+    } catch (err) {
+      if (err.name === "AbortError" || err.rateLimited) throw err;
+      console.warn(`[Quiz] attempt ${attempt} returned unusable JSON:`, err.message || err);
+      continue;
+    }
+
+    if (!intro) intro = cleanText(parsed?.intro);
+    if (!topic) topic = cleanText(parsed?.topic);
+
+    const batch = Array.isArray(parsed?.questions) ? parsed.questions : [];
+    let rejected = 0;
+    for (const raw of batch) {
+      if (questions.length >= count) break;
+      const q = normalizeQuizQuestion(raw);
+      const key = q && q.question.toLowerCase();
+      if (!q || seen.has(key) || (types && !types.includes(q.type))) {
+        rejected += 1;
+        continue;
+      }
+      seen.add(key);
+      questions.push(q);
+    }
+
+    if (rejected || questions.length < count) {
+      console.warn(
+        `[Quiz] attempt ${attempt}: ${questions.length}/${count} valid (${rejected} rejected)`
+      );
+    }
+  }
+
+  if (questions.length < count) {
+    throw new Error(
+      `Could not generate a complete quiz (${questions.length}/${count} valid questions).`
+    );
+  }
+
+  return {
+    intro: intro || `Here is a ${count}-question quiz. Take your time!`,
+    topic: topic || requestedTopic || "general",
+    difficulty,
+    questions,
+  };
+}
+
+/**
+ * Client-safe view of a stored quiz: no answers, no explanations.
+ */
+function toPublicQuiz(quiz) {
+  return {
+    quizId: quiz.quizId,
+    kind: quiz.kind || "quiz",
+    topic: quiz.topic,
+    difficulty: quiz.difficulty || "medium",
+    questions: quiz.questions.map((q, index) => ({
+      index,
+      type: q.type || "mcq",
+      question: q.question,
+      ...(q.options && { options: q.options }),
+      ...(q.code && { code: q.code }),
+    })),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Grading — one grader per question type
+// -----------------------------------------------------------------------------
+const SMALL_NUMBERS = [
+  "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+];
+
+// Lenient free-text comparison: case, spacing, surrounding quotes, a final
+// full stop and spoken small numbers ("three" == "3") don't matter.
+function normalizeFreeText(s) {
+  const t = String(s == null ? "" : s)
+    .toLowerCase()
+    .split("\n")
+    .map((l) => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n")
+    .replace(/^(["'`])(.*)\1$/s, "$2")
+    .replace(/\.$/, "")
+    .trim();
+  const n = SMALL_NUMBERS.indexOf(t);
+  return n === -1 ? t : String(n);
+}
+
+const matchesAcceptedAnswer = (question, answer) =>
+  question.acceptedAnswers.some((a) => normalizeFreeText(a) === normalizeFreeText(answer));
+
+const QUESTION_GRADERS = {
+  mcq: (q, answer) => ({
+    correct: answer === q.correctIndex,
+    correctIndex: q.correctIndex,
+    correctAnswer: q.options[q.correctIndex],
+  }),
+  true_false: (q, answer) => QUESTION_GRADERS.mcq(q, answer),
+  fill_blank: (q, answer) => ({
+    correct: matchesAcceptedAnswer(q, answer),
+    correctAnswer: q.acceptedAnswers[0],
+  }),
+  code_output: (q, answer) => QUESTION_GRADERS.fill_blank(q, answer),
+  ordering: (q, answer) => ({
+    correct: q.correctOrder.every((v, i) => answer[i] === v),
+    correctOrder: q.correctOrder,
+    correctAnswer: q.correctOrder.map((i) => q.options[i]).join(" → "),
+  }),
+};
+
+/**
+ * Check an answer has the right shape for the question type.
+ * @returns {number|string|number[]|null} the cleaned answer, or null if invalid
+ */
+function normalizeQuizAnswer(question, answer) {
+  const type = question.type || "mcq";
+
+  if (CHOICE_TYPES.has(type)) {
+    const idx = Number(answer);
+    return answer !== null &&
+      answer !== "" &&
+      Number.isInteger(idx) &&
+      idx >= 0 &&
+      idx < question.options.length
+      ? idx
+      : null;
+  }
+
+  if (type === "ordering") {
+    if (!Array.isArray(answer) || answer.length !== question.options.length) return null;
+    const order = answer.map(Number);
+    const valid =
+      order.every((i) => Number.isInteger(i) && i >= 0 && i < order.length) &&
+      new Set(order).size === order.length;
+    return valid ? order : null;
+  }
+
+  if (typeof answer !== "string" && typeof answer !== "number") return null;
+  const text = String(answer).trim();
+  return text && text.length <= MAX_FREE_TEXT_ANSWER ? text : null;
+}
+
+/**
+ * Grade one (already normalized) answer against a stored question.
+ */
+function gradeQuizQuestion(question, answer) {
+  const grader = QUESTION_GRADERS[question.type || "mcq"];
+  return {
+    ...grader(question, answer),
+    explanation: question.explanation || "",
+  };
+}
+
+/**
+ * Running score of a stored quiz from its `answers` map.
+ */
+function scoreQuiz(quiz) {
+  const answers = Object.values(quiz.answers || {});
+  return {
+    correct: answers.filter((a) => a.correct).length,
+    answered: answers.length,
+    total: quiz.questions.length,
+  };
+}
+
+/**
+ * Aggregate attempts into per-topic accuracy, weakest topics first.
+ */
+function summarizeAttemptsByTopic(attempts) {
+  const byTopic = new Map();
+  for (const a of attempts) {
+    const key = a.topic || "general";
+    const t = byTopic.get(key) || { topic: key, attempts: 0, correct: 0 };
+    t.attempts += 1;
+    if (a.correct) t.correct += 1;
+    byTopic.set(key, t);
+  }
+  return Array.from(byTopic.values())
+    .map((t) => ({ ...t, accuracy: t.attempts ? t.correct / t.attempts : 0 }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+}
+
+/**
+ * Compact text form of a quiz for conversation history, so follow-ups like
+ * "explain question 3" have context. Answers are left out on purpose: history
+ * is sent back to the client when a session is resumed.
+ */
+function describeQuizForHistory(intro, questions) {
+  const lines = questions.map((q, i) => {
+    const kind = q.type && q.type !== "mcq" ? ` (${q.type.replace("_", " ")})` : "";
+    return `Q${i + 1}${kind}: ${q.question}`;
+  });
+  return `${intro}\n[Quiz given]\n${lines.join("\n")}`;
+}
+
+// -----------------------------------------------------------------------------
+// Voice answering
+// -----------------------------------------------------------------------------
+const OPTION_LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+const SPOKEN_INDEX = {
+  a: 0, b: 1, c: 2, d: 3, e: 4, f: 5,
+  "1": 0, "2": 1, "3": 2, "4": 3, "5": 4, "6": 5,
+  one: 0, two: 1, three: 2, four: 3, five: 4, six: 5,
+  first: 0, second: 1, third: 2, fourth: 3, fifth: 4, sixth: 5,
+  // common speech-recognition spellings of letters
+  ay: 0, bee: 1, be: 1, see: 2, sea: 2, cee: 2, dee: 3,
+};
+
+// Filler around a bare answer: "I think it's option B", "the answer is two", ...
+const ANSWER_FILLER =
+  /\b(i think|i guess|i'?ll go with|i choose|i pick|my answer is|the answer is|answer|it'?s|it is|is|option|letter|number|choice|the|maybe|probably|um+|uh+|please)\b/g;
+
+const normalizeSpoken = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s']/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const wordsOf = (s) => normalizeSpoken(s).split(" ").filter((w) => w.length > 1);
+
+/**
+ * Map a spoken reply to an option index: a letter ("B"), a number or ordinal
+ * ("option two", "the second one"), "last", or the option text itself.
+ *
+ * @returns {number|null} 0-based index, or null if it doesn't look like an answer
+ */
+function matchSpokenAnswer(utterance, options) {
+  const said = normalizeSpoken(utterance);
+  if (!said || !Array.isArray(options) || !options.length) return null;
+
+  // 1) bare letter / number / ordinal once filler words are removed
+  const core = said
+    .replace(ANSWER_FILLER, " ")
+    .replace(/\bone$/, (m) => (said.split(" ").length > 1 ? "" : m)) // "the second one"
+    .replace(/\s+/g, " ")
+    .trim();
+  if (core === "last") return options.length - 1;
+  if (Object.prototype.hasOwnProperty.call(SPOKEN_INDEX, core)) {
+    const idx = SPOKEN_INDEX[core];
+    return idx < options.length ? idx : null;
+  }
+
+  // a question back ("what does sum mean?") is not an answer
+  if (/^(what|why|how|when|where|which|who|can|could|does|do|is|are|explain)\b/.test(said)) {
+    return null;
+  }
+
+  // 2) the option text: exact containment first...
+  const normalizedOptions = options.map(normalizeSpoken);
+  const contained = normalizedOptions
+    .map((o, i) => (o && said.includes(o) ? i : -1))
+    .filter((i) => i !== -1);
+  if (contained.length === 1) return contained[0];
+
+  // ...then words that only one option uses ("average" in "Average of values")
+  const saidWords = new Set(wordsOf(said));
+  const optionWords = options.map(wordsOf);
+  const matches = optionWords
+    .map((words, i) => {
+      const unique = words.filter(
+        (w) => !optionWords.some((other, j) => j !== i && other.includes(w))
+      );
+      const hits = unique.filter((w) => saidWords.has(w)).length;
+      return { i, hits, ratio: unique.length ? hits / unique.length : 0 };
+    })
+    .filter((m) => m.hits > 0);
+
+  if (matches.length !== 1 || matches[0].ratio < 0.5) return null;
+  return matches[0].i;
+}
+
+// Leading filler before a free-text answer: "I think it's ...", "the output is ..."
+const FREE_TEXT_FILLER =
+  /^(?:(?:um+|uh+|so|well|okay|ok|i think|i guess|i'd say|my answer is|the answer is|the output is|it prints|it outputs|it would be|it'?s|it is|answer)[\s,:]+)+/i;
+
+const QUESTION_BACK =
+  /^(what|why|how|when|where|which|who|can|could|does|do|is|are|explain)\b/;
+
+/**
+ * Turn an utterance into an answer for the question's type:
+ * an option index, the spoken text, or (ordering) letters in order ("C, A, B").
+ *
+ * @returns {number|string|number[]|null} null if it doesn't look like an answer
+ */
+function parseSpokenQuizAnswer(question, utterance) {
+  const type = question.type || "mcq";
+  if (CHOICE_TYPES.has(type)) return matchSpokenAnswer(utterance, question.options);
+
+  const said = normalizeSpoken(utterance);
+  if (!said || QUESTION_BACK.test(said)) return null;
+
+  if (type === "ordering") {
+    const order = said
+      .replace(/\b(then|and|after|that|next|finally|first|last|order|is|it'?s|the|letter|comma)\b/g, " ")
+      .split(" ")
+      .filter(Boolean)
+      .map((w) =>
+        Object.prototype.hasOwnProperty.call(SPOKEN_INDEX, w) ? SPOKEN_INDEX[w] : undefined
+      );
+    return order.length && order.every((i) => i !== undefined)
+      ? normalizeQuizAnswer(question, order)
+      : null;
+  }
+
+  const text = String(utterance).trim().replace(FREE_TEXT_FILLER, "").replace(/[.!]+$/, "");
+  return normalizeQuizAnswer(question, text);
+}
+
+/**
+ * Navigation commands while answering by voice.
+ * @returns {"repeat"|"skip"|"stop"|null}
+ */
+function parseVoiceQuizCommand(utterance) {
+  const said = normalizeSpoken(utterance);
+  if (/^(stop|end|exit|quit|cancel)( the)?( quiz)?$|\b(stop|end|exit|quit) (the )?quiz\b/.test(said)) {
+    return "stop";
+  }
+  if (/\b(repeat|say (that|it) again|read (it|that|the question) again|what was the question)\b/.test(said)) {
+    return "repeat";
+  }
+  if (/^(skip|next|pass)\b|\bskip (this|that|it)\b|\bnext question\b|\bi don'?t know\b/.test(said)) {
+    return "skip";
+  }
+  return null;
+}
+
+const lettered = (options) =>
+  options.map((o, i) => `${OPTION_LETTERS[i]}: ${o}.`).join(" ");
+
+/**
+ * What Praxis says to read a question aloud.
+ */
+function buildQuestionSpeech(question, index, total) {
+  const prefix = `Question ${index + 1} of ${total}.`;
+  switch (question.type || "mcq") {
+    case "true_false":
+      return `${prefix} True or false: ${question.question}`;
+    case "fill_blank":
+      return `${prefix} Fill in the blank: ${question.question.replace(BLANK, "blank")}`;
+    case "code_output":
+      return `${prefix} ${question.question} Look at the code on your screen and tell me what it outputs.`;
+    case "ordering":
+      return `${prefix} ${question.question} ${lettered(question.options)} Say the letters in the right order.`;
+    default:
+      return `${prefix} ${question.question} ${lettered(question.options)}`;
+  }
+}
+
+/**
+ * What Praxis says after grading a spoken answer.
+ */
+function buildFeedbackSpeech(feedback) {
+  const label = Number.isInteger(feedback.correctIndex)
+    ? `${OPTION_LETTERS[feedback.correctIndex]}: `
+    : "";
+  const verdict = feedback.correct
+    ? "Correct!"
+    : `Not quite. The answer is ${label}${feedback.correctAnswer}.`;
+  return `${verdict} ${feedback.explanation || ""}`.trim();
+}
+
+/**
+ * Next unanswered question after `fromIndex` (wrapping around), or null when no
+ * other question is left. `fromIndex` itself is never returned, so skipping the
+ * last unanswered question ends the quiz instead of asking it again.
+ */
+function nextUnansweredIndex(quiz, fromIndex) {
+  const answers = quiz.answers || {};
+  const total = quiz.questions.length;
+  for (let step = 1; step < total; step++) {
+    const i = (fromIndex + step) % total;
+    if (!answers[i]) return i;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_QUIZ_LENGTH,
+  MAX_QUIZ_LENGTH,
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  QUIZ_RESPONSE_SCHEMA,
+  normalizeQuizQuestion,
+  parseQuizRequest,
+  chooseQuizDifficulty,
+  generateQuiz,
+  describeQuizForHistory,
+  toPublicQuiz,
+  normalizeQuizAnswer,
+  gradeQuizQuestion,
+  scoreQuiz,
+  summarizeAttemptsByTopic,
+  matchSpokenAnswer,
+  parseSpokenQuizAnswer,
+  parseVoiceQuizCommand,
+  buildQuestionSpeech,
+  buildFeedbackSpeech,
+  nextUnansweredIndex,
+};
@@ -0,0 +1,184 @@
+// reviewScheduler.js
+// Spaced-repetition review (SM-2) of missed quiz questions and weak topics, per student.
+//
+// Review items (persisted through sessionStore):
+//   { studentEmail, itemId, kind: "question" | "topic", topic, question?, source?,
+//     easeFactor, intervalDays, repetitions, lapses, dueAt, lastReviewedAt, createdAt }
+//
+// A wrong quiz answer queues the question itself (stored with its answer, so it
+// can be asked again verbatim) and its topic. Topic items are reviewed with a
+// freshly generated question. Answers in review quizzes reschedule the item.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_REVIEW_ITEMS = 10;
+
+// SM-2 quality (0-5) for a graded answer; 3 or more counts as remembered.
+const qualityFromAnswer = (correct) => (correct ? 4 : 1);
+
+const topicKey = (topic) => String(topic || "general").trim().toLowerCase();
+
+const questionItemId = (quizId, questionIndex) => `question:${quizId}:${questionIndex}`;
+const topicItemId = (topic) => `topic:${topicKey(topic)}`;
+
+// Review "today" means anything due before the end of the current UTC day.
+function endOfDay(now) {
+  const d = new Date(now);
+  d.setUTCHours(23, 59, 59, 999);
+  return d.toISOString();
+}
+
+const sameUtcDay = (a, b) => !!a && !!b && a.slice(0, 10) === b.slice(0, 10);
+
+/**
+ * One SM-2 step. Returns the updated scheduling fields.
+ *
+ * @param {object} item     current { easeFactor, intervalDays, repetitions, lapses }
+ * @param {number} quality  0-5
+ * @param {Date} now
+ */
+function applySm2(item, quality, now = new Date()) {
+  let repetitions = item.repetitions || 0;
+  let intervalDays = item.intervalDays || 0;
+  let lapses = item.lapses || 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * (item.easeFactor || DEFAULT_EASE));
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE,
+    (item.easeFactor || DEFAULT_EASE) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays,
+    repetitions,
+    lapses,
+    lastReviewedAt: now.toISOString(),
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+  };
+}
+
+/**
+ * Create the scheduler.
+ *
+ * @param {object} opts
+ * @param {object} opts.store   session store (getReviewItem, saveReviewItem, listReviewItems)
+ * @param {function} [opts.now] clock, for tests
+ */
+function createReviewScheduler({ store, now = () => new Date() }) {
+  async function lapse(studentEmail, itemId, fields) {
+    const at = now();
+    const existing = await store.getReviewItem(studentEmail, itemId);
+
+    // several misses on the same day count once
+    if (existing && sameUtcDay(existing.lastReviewedAt, at.toISOString())) return existing;
+
+    const base = existing || {
+      studentEmail,
+      itemId,
+      ...fields,
+      easeFactor: DEFAULT_EASE,
+      intervalDays: 0,
+      repetitions: 0,
+      lapses: 0,
+      createdAt: at.toISOString(),
+    };
+    return store.saveReviewItem({ ...base, ...applySm2(base, qualityFromAnswer(false), at) });
+  }
+
+  async function review(studentEmail, itemId, correct) {
+    const item = await store.getReviewItem(studentEmail, itemId);
+    if (!item) return null;
+    return store.saveReviewItem({
+      ...item,
+      ...applySm2(item, qualityFromAnswer(correct), now()),
+    });
+  }
+
+  return {
+    /**
+     * Feed one graded quiz answer into the queue.
+     * Review questions reschedule their item; wrong answers elsewhere queue
+     * the question and its topic; right answers count as a review of a due topic.
+     */
+    async recordAnswer({ studentEmail, quiz, questionIndex, correct }) {
+      const question = quiz.questions[questionIndex];
+      const topic = question.topic || quiz.topic || "general";
+
+      if (question.reviewItemId) {
+        return review(studentEmail, question.reviewItemId, correct);
+      }
+
+      if (!correct) {
+        const { reviewItemId, ...stored } = question;
+        await lapse(studentEmail, questionItemId(quiz.quizId, questionIndex), {
+          kind: "question",
+          topic,
+          question: stored,
+          source: { quizId: quiz.quizId, questionIndex },
+        });
+        return lapse(studentEmail, topicItemId(topic), { kind: "topic", topic });
+      }
+
+      const topicItem = await store.getReviewItem(studentEmail, topicItemId(topic));
+      if (topicItem && topicItem.dueAt <= now().toISOString()) {
+        return review(studentEmail, topicItem.itemId, true);
+      }
+      return null;
+    },
+
+    /**
+     * Items due today, oldest first.
+     */
+    async listDue(studentEmail, { limit = MAX_REVIEW_ITEMS } = {}) {
+      return store.listReviewItems({
+        studentEmail,
+        dueBefore: endOfDay(now()),
+        limit,
+      });
+    },
+
+    /**
+     * What to offer at session start.
+     * @returns {Promise<{ count: number, questions: number, topics: string[] }>}
+     */
+    async dueSummary(studentEmail) {
+      const due = await store.listReviewItems({
+        studentEmail,
+        dueBefore: endOfDay(now()),
+      });
+      return {
+        count: due.length,
+        questions: due.filter((i) => i.kind === "question").length,
+        topics: due.filter((i) => i.kind === "topic").map((i) => i.topic),
+      };
+    },
+  };
+}
+
+/**
+ * What Praxis says at session start when reviews are due.
+ */
+function buildReviewOfferText({ count, topics }) {
+  const items = count === 1 ? "1 item" : `${count} items`;
+  const weak = topics.length ? `, including ${topics.slice(0, 3).join(", ")}` : "";
+  return `Welcome back! You have ${items} due for review today${weak}. Say "start review" when you're ready, or just ask me anything.`;
+}
+
+module.exports = {
+  MAX_REVIEW_ITEMS,
+  applySm2,
+  createReviewScheduler,
+  buildReviewOfferText,
+};
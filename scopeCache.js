@@ -0,0 +1,118 @@
+// scopeCache.js
+// In-process cache for student scopes (enrolled courses + allowed topics) with a
+// TTL and stale-while-revalidate, so a slow or failing Pluralcode API doesn't
+// block students who were seen recently.
+//
+//   age < ttl                 → cached value
+//   ttl <= age < ttl + stale  → cached value, refreshed in the background
+//   older / missing           → wait for the loader; if it fails, fall back to
+//                               any cached value before giving up
+//
+// ENV:
+//   SCOPE_CACHE_TTL_MS=300000          (5 minutes)
+//   SCOPE_CACHE_STALE_MS=86400000      (24 hours of stale-while-revalidate)
+//   SCOPE_CACHE_MAX_ENTRIES=5000
+
+const DEFAULT_TTL_MS = Number(process.env.SCOPE_CACHE_TTL_MS) || 5 * 60 * 1000;
+const DEFAULT_STALE_MS =
+  Number(process.env.SCOPE_CACHE_STALE_MS) || 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = Number(process.env.SCOPE_CACHE_MAX_ENTRIES) || 5000;
+
+/**
+ * Create a cache around an async loader.
+ *
+ * @param {object} opts
+ * @param {function} opts.load        async (key) => value; errors are never cached
+ * @param {number} [opts.ttlMs]
+ * @param {number} [opts.staleMs]     how long past the TTL a value is served while revalidating
+ * @param {number} [opts.maxEntries]  oldest entries are evicted beyond this
+ * @param {function} [opts.now]       clock, for tests
+ */
+function createScopeCache({
+  load,
+  ttlMs = DEFAULT_TTL_MS,
+  staleMs = DEFAULT_STALE_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  now = () => Date.now(),
+}) {
+  const entries = new Map(); // key -> { value, fetchedAt }
+  const inflight = new Map(); // key -> Promise
+  const stats = { hits: 0, staleHits: 0, misses: 0, fallbacks: 0, errors: 0 };
+
+  function store(key, value) {
+    entries.delete(key); // re-insert so Map order tracks recency
+    entries.set(key, { value, fetchedAt: now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // One upstream request per key at a time.
+  function refresh(key) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const p = Promise.resolve()
+      .then(() => load(key))
+      .then((value) => {
+        store(key, value);
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+
+    inflight.set(key, p);
+    return p;
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      const age = entry ? now() - entry.fetchedAt : Infinity;
+
+      if (age < ttlMs) {
+        stats.hits += 1;
+        return entry.value;
+      }
+
+      if (age < ttlMs + staleMs) {
+        stats.staleHits += 1;
+        refresh(key).catch((err) => {
+          stats.errors += 1;
+          console.warn(`[ScopeCache] background refresh failed for ${key}:`, err.message || err);
+        });
+        return entry.value;
+      }
+
+      stats.misses += 1;
+      try {
+        return await refresh(key);
+      } catch (err) {
+        stats.errors += 1;
+        if (!entry) throw err;
+
+        stats.fallbacks += 1;
+        console.warn(
+          `[ScopeCache] upstream failed for ${key}, serving cached scope from ${new Date(
+            entry.fetchedAt
+          ).toISOString()}:`,
+          err.message || err
+        );
+        return entry.value;
+      }
+    },
+
+    /** Drop one key (e.g. after an enrollment change). Returns true if it was cached. */
+    invalidate(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      return { ...stats, size: entries.size, inflight: inflight.size, ttlMs, staleMs };
+    },
+  };
+}
+
+module.exports = { createScopeCache };
@@ -0,0 +1,202 @@
+// scopeClassifier.js
+// Pre-generation scope check: is a student message about their enrolled course(s)?
+//
+//   in_scope      → answer normally
+//   ambiguous     → answer normally; the [POLICY] header still applies
+//   out_of_scope  → templated redirect, no full generation
+//
+// The lexical pass scores the message against the student's allowed phrases,
+// course names and lesson titles. With SCOPE_CLASSIFIER=model, messages the
+// lexical pass leaves ambiguous get one small structured model call.
+//
+// ENV:
+//   SCOPE_CLASSIFIER=lexical|model|off   (default lexical)
+
+const { tokenize } = require("./courseRetrieval");
+const { sanitizePromptText } = require("./promptGuard");
+
+const MODES = ["off", "lexical", "model"];
+
+// Always in scope: greetings, follow-ups, tutor features (quizzes, reviews,
+// class schedule) and questions about Praxis itself.
+const CONVERSATIONAL_PATTERNS = [
+  /^(hi|hello|hey|good (morning|afternoon|evening)|thanks?|thank you|ok(ay)?|yes|yeah|no|nope|sure|bye|goodbye)\b/,
+  /\b(again|repeat|rephrase|simpler|example|another one|more detail|i don'?t (get|understand)|what do you mean|why|continue|go on|next)\b/,
+  /\b(quiz|test me|questions?|review|practice|exercise)\b/,
+  /\b(class|classes|schedule|lesson|module|course|curriculum|cohort|assignment|project|instructor|meeting|zoom|link)\b/,
+  /\b(who are you|what can you do|your name|praxis)\b/,
+];
+
+// Clearly unrelated to any course in the academy's catalogue.
+const OFF_TOPIC_PATTERNS = [
+  { label: "cooking", re: /\b(recipe|cook(ing)?|bake|baking|jollof|ingredients?)\b/ },
+  { label: "sports", re: /\b(football|soccer|premier league|nba|match score|who won the)\b/ },
+  { label: "entertainment", re: /\b(celebrity|song lyrics|lyrics|tv show)\b/ },
+  { label: "relationships", re: /\b(girlfriend|boyfriend|dating|relationship advice|crush)\b/ },
+  { label: "weather", re: /\b(weather|temperature outside)\b/ },
+  { label: "horoscopes", re: /\b(horoscope|zodiac|astrology)\b/ },
+  { label: "politics", re: /\b(election|president|politics|political party)\b/ },
+  { label: "gambling", re: /\b(betting|bet on|lottery|casino)\b/ },
+];
+
+const IN_SCOPE_SCORE = 0.34;
+
+const SCOPE_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    verdict: { type: "STRING", enum: ["in_scope", "ambiguous", "out_of_scope"] },
+    reason: { type: "STRING" },
+  },
+  required: ["verdict", "reason"],
+};
+
+const normalize = (text) =>
+  ` ${String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9+#.]+/g, " ")
+    .trim()} `;
+
+/**
+ * Lexical scope score for one message.
+ *
+ * @param {string} text
+ * @param {object} scope  { courseNames, allowedPhrases, lessons? }
+ * @returns {{ verdict, reason, score, matched: string[] }}
+ */
+function classifyScopeLexical(text, { courseNames = [], allowedPhrases = [], lessons = [] } = {}) {
+  const t = normalize(text);
+  const plain = t.trim();
+
+  if (!plain) return { verdict: "in_scope", reason: "empty message", score: 1, matched: [] };
+
+  // whole allowed phrases ("power bi", "pivot tables") are the strongest signal
+  const phrases = [...courseNames, ...allowedPhrases, ...lessons.map((l) => l.title)];
+  const matched = Array.from(
+    new Set(
+      phrases
+        .map((p) => normalize(p).trim())
+        .filter((p) => p.length > 1 && t.includes(` ${p} `))
+    )
+  );
+  if (matched.length) {
+    return {
+      verdict: "in_scope",
+      reason: `mentions ${matched.slice(0, 3).join(", ")}`,
+      score: 1,
+      matched,
+    };
+  }
+
+  // how many of the message's content words the course vocabulary knows
+  const vocabulary = new Set(phrases.flatMap((p) => tokenize(p)));
+  const words = Array.from(new Set(tokenize(text)));
+  const known = words.filter((w) => vocabulary.has(w));
+  const score = words.length ? Math.round((known.length / words.length) * 100) / 100 : 0;
+
+  const offTopic = OFF_TOPIC_PATTERNS.find(({ re }) => re.test(plain));
+  if (offTopic && !known.length) {
+    return { verdict: "out_of_scope", reason: `off-topic: ${offTopic.label}`, score, matched };
+  }
+
+  if (CONVERSATIONAL_PATTERNS.some((re) => re.test(plain))) {
+    return { verdict: "in_scope", reason: "conversational or tutor feature", score, matched: known };
+  }
+
+  if (score >= IN_SCOPE_SCORE) {
+    return { verdict: "in_scope", reason: `course vocabulary: ${known.join(", ")}`, score, matched: known };
+  }
+
+  return {
+    verdict: "ambiguous",
+    reason: known.length ? `weak overlap: ${known.join(", ")}` : "no overlap with course vocabulary",
+    score,
+    matched: known,
+  };
+}
+
+function buildScopeClassifierPrompt(text, { courseNames, allowedPhrases }, previousText) {
+  return `Decide whether a student's message to their course tutor is about their enrolled course(s).
+Enrolled course(s): ${sanitizePromptText(courseNames.join(", "), 500)}
+Course topics and tools (not exhaustive): ${allowedPhrases
+    .slice(0, 60)
+    .map((p) => sanitizePromptText(p))
+    .join(", ")}
+${previousText ? `Previous student message: ${JSON.stringify(previousText)}\n` : ""}Message: ${JSON.stringify(text)}
+
+in_scope: about these courses, their tools, closely related skills, studying or careers in the field.
+out_of_scope: clearly unrelated to all of the courses.
+ambiguous: could go either way.
+Reply with the verdict and a short reason.`;
+}
+
+/**
+ * Create the classifier.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.mode]          off | lexical | model (default SCOPE_CLASSIFIER or lexical)
+ * @param {function} [opts.classifyJson] async ({ prompt, responseSchema }) => JSON text; used in model mode
+ */
+function createScopeClassifier({ mode = process.env.SCOPE_CLASSIFIER || "lexical", classifyJson } = {}) {
+  mode = String(mode).toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown SCOPE_CLASSIFIER mode: ${mode}`);
+
+  return {
+    mode,
+
+    /**
+     * @param {string} text
+     * @param {object} scope          { courseNames, allowedPhrases, lessons? }
+     * @param {object} [context]      { previousText }
+     * @returns {Promise<{ verdict, reason, score, source, matched }>}
+     */
+    async classify(text, scope, { previousText } = {}) {
+      if (mode === "off") {
+        return { verdict: "in_scope", reason: "classifier off", score: null, source: "off", matched: [] };
+      }
+
+      const lexical = { ...classifyScopeLexical(text, scope), source: "lexical" };
+      if (lexical.verdict !== "ambiguous" || mode !== "model" || !classifyJson) return lexical;
+
+      try {
+        const raw = await classifyJson({
+          prompt: buildScopeClassifierPrompt(text, scope, previousText),
+          responseSchema: SCOPE_RESPONSE_SCHEMA,
+        });
+        const parsed = JSON.parse(raw);
+        if (!["in_scope", "ambiguous", "out_of_scope"].includes(parsed.verdict)) {
+          throw new Error(`unexpected verdict ${parsed.verdict}`);
+        }
+        return {
+          ...lexical,
+          verdict: parsed.verdict,
+          reason: String(parsed.reason || "").slice(0, 200) || lexical.reason,
+          source: "model",
+        };
+      } catch (err) {
+        console.warn("[Scope] model classification failed:", err.message || err);
+        return lexical;
+      }
+    },
+  };
+}
+
+/**
+ * Polite redirect for an out-of-scope message, pointing back at the course.
+ *
+ * @param {object} scope  { courseNames, lessons? }
+ */
+function buildScopeRedirect({ courseNames = [], lessons = [] }) {
+  const courses = courseNames.length ? courseNames.join(" and ") : "your course";
+  // top-level topics: path is [course, topic]
+  const topics = lessons.filter((l) => l.path.length === 2).map((l) => l.title);
+  const suggestion = topics.length
+    ? ` Would you like to go over ${topics.slice(0, 2).join(" or ")} instead?`
+    : " What would you like to work on from your course?";
+  return `That's outside what I can help with here. I'm your tutor for ${courses}, so I'll stick to that.${suggestion}`;
+}
+
+module.exports = {
+  classifyScopeLexical,
+  createScopeClassifier,
+  buildScopeRedirect,
+};
@@ -0,0 +1,557 @@
+// sessionStore.js
+// Tutoring session persistence (sessions, transcript turns, quizzes, quiz attempts,
+// review items, instructor course notes, scope decisions, guided lessons, progress,
+// model/TTS usage records).
+//
+// Backends:
+//   - "firestore": @google-cloud/firestore. Honors FIRESTORE_EMULATOR_HOST, so the
+//                  same code runs against the local Firestore emulator.
+//   - "memory":    in-process Maps; for local dev and tests. Lost on restart.
+//
+// Layout (Firestore):
+//   praxis_sessions/{sessionId}                 { studentEmail, courseNames, cohorts, documents?, turnCount, ... }
+//   praxis_sessions/{sessionId}/turns/{seq}     { seq, role, text, requestId, flags?, at }
+//   praxis_quizzes/{quizId}                     { studentEmail, sessionId, kind, topic, difficulty, questions (with answers), answers }
+//   praxis_quiz_attempts/*                      { quizId, questionIndex, studentEmail, sessionId, topic, questionType, quizKind, difficulty, answer, correct, at }
+//   praxis_review_items/{hash(email, itemId)}   { studentEmail, itemId, kind, topic, dueAt, easeFactor, ... }
+//   praxis_course_notes/{noteId}                { noteId, courseName, courseKey, title, text, createdAt }
+//   praxis_lessons/{lessonId}                   { lessonId, studentEmail, courseName, moduleTitle, stepIndex, phase, status, updatedAt, ... }
+//   praxis_progress/{hash(email)}               { studentEmail, topics: { [topicKey]: { topic, courseName, discussed, lastDiscussedAt } }, updatedAt }
+//   praxis_scope_decisions/*                    { studentEmail, sessionId, requestId, courseNames, text, verdict, reason, source, score, at }
+//   praxis_usage/*                              { kind, model, studentEmail, sessionId, courseNames, cohorts, promptTokens, outputTokens, thoughtsTokens, totalTokens, ttsChars, latencyMs, at }
+
+const crypto = require("crypto");
+
+const SESSIONS_COLLECTION =
+  process.env.FIRESTORE_SESSIONS_COLLECTION || "praxis_sessions";
+const QUIZZES_COLLECTION = "praxis_quizzes";
+const QUIZ_ATTEMPTS_COLLECTION = "praxis_quiz_attempts";
+const REVIEW_ITEMS_COLLECTION = "praxis_review_items";
+const COURSE_NOTES_COLLECTION = "praxis_course_notes";
+const SCOPE_DECISIONS_COLLECTION = "praxis_scope_decisions";
+const LESSONS_COLLECTION = "praxis_lessons";
+const PROGRESS_COLLECTION = "praxis_progress";
+const USAGE_COLLECTION = "praxis_usage";
+
+const nowIso = () => new Date().toISOString();
+
+// One review item per (student, itemId); itemIds contain ":" so they are hashed.
+const reviewItemKey = (studentEmail, itemId) =>
+  crypto.createHash("sha1").update(`${studentEmail}\n${itemId}`).digest("hex");
+
+const progressKey = (studentEmail) =>
+  crypto.createHash("sha1").update(studentEmail).digest("hex");
+
+const matchesReviewFilter = (item, { studentEmail, dueBefore }) =>
+  item.studentEmail === studentEmail && (!dueBefore || item.dueAt <= dueBefore);
+
+// Notes are looked up by lower-cased course name.
+const courseKey = (courseName) => String(courseName || "").trim().toLowerCase();
+
+const matchesScopeFilter = (d, { studentEmail, verdict, courseName }) =>
+  (!studentEmail || d.studentEmail === studentEmail) &&
+  (!verdict || d.verdict === verdict) &&
+  (!courseName || (d.courseNames || []).includes(courseName));
+
+const matchesAttemptFilter = (a, { studentEmail, topic, quizId, sessionId }) =>
+  (!studentEmail || a.studentEmail === studentEmail) &&
+  (!topic || a.topic === topic) &&
+  (!quizId || a.quizId === quizId) &&
+  (!sessionId || a.sessionId === sessionId);
+
+// `since` inclusive, `until` exclusive (ISO timestamps)
+const matchesUsageFilter = (r, { studentEmail, since, until }) =>
+  (!studentEmail || r.studentEmail === studentEmail) &&
+  (!since || r.at >= since) &&
+  (!until || r.at < until);
+
+const matchesSessionFilter = (s, { studentEmail, cohort, courseName }) =>
+  (!studentEmail || s.studentEmail === studentEmail) &&
+  (!cohort || (s.cohorts || []).includes(cohort)) &&
+  (!courseName || (s.courseNames || []).includes(courseName));
+
+/**
+ * In-memory adapter. Same async interface as the Firestore adapter.
+ */
+function createMemoryAdapter() {
+  const sessions = new Map(); // sessionId -> { data, turns: [] }
+  const quizzes = new Map(); // quizId -> quiz
+  const quizAttempts = [];
+  const reviewItems = new Map(); // reviewItemKey -> item
+  const courseNotes = new Map(); // noteId -> note
+  const scopeDecisions = [];
+  const lessons = new Map(); // lessonId -> lesson
+  const progress = new Map(); // progressKey -> progress
+  const usage = [];
+
+  return {
+    kind: "memory",
+
+    async createSession(data) {
+      const sessionId = crypto.randomUUID();
+      const doc = {
+        ...data,
+        sessionId,
+        turnCount: 0,
+        createdAt: nowIso(),
+        updatedAt: nowIso(),
+      };
+      sessions.set(sessionId, { data: doc, turns: [] });
+      return { ...doc };
+    },
+
+    async getSession(sessionId) {
+      const s = sessions.get(sessionId);
+      return s ? { ...s.data } : null;
+    },
+
+    async updateSession(sessionId, patch) {
+      const s = sessions.get(sessionId);
+      if (!s) throw new Error(`Session not found: ${sessionId}`);
+      Object.assign(s.data, patch, { updatedAt: nowIso() });
+    },
+
+    // Most recently active first.
+    async listSessions(filter = {}) {
+      const matches = Array.from(sessions.values())
+        .map((s) => s.data)
+        .filter((s) => matchesSessionFilter(s, filter))
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0));
+      const limited = filter.limit ? matches.slice(0, filter.limit) : matches;
+      return limited.map((s) => ({ ...s }));
+    },
+
+    async appendTurn(sessionId, turn) {
+      const s = sessions.get(sessionId);
+      if (!s) throw new Error(`Session not found: ${sessionId}`);
+      const stored = { ...turn, seq: s.data.turnCount, at: nowIso() };
+      s.turns.push(stored);
+      s.data.turnCount += 1;
+      s.data.updatedAt = stored.at;
+      return { ...stored };
+    },
+
+    async listTurns(sessionId, limit) {
+      const s = sessions.get(sessionId);
+      if (!s) return [];
+      const turns = limit ? s.turns.slice(-limit) : s.turns;
+      return turns.map((t) => ({ ...t }));
+    },
+
+    async saveQuiz(quiz) {
+      const quizId = crypto.randomUUID();
+      const doc = { ...quiz, quizId, answers: {}, createdAt: nowIso() };
+      quizzes.set(quizId, doc);
+      return { ...doc };
+    },
+
+    async getQuiz(quizId) {
+      const q = quizzes.get(quizId);
+      return q ? JSON.parse(JSON.stringify(q)) : null;
+    },
+
+    async recordQuizAttempt(attempt) {
+      const quiz = quizzes.get(attempt.quizId);
+      if (!quiz) throw new Error(`Quiz not found: ${attempt.quizId}`);
+
+      const previous = quiz.answers[attempt.questionIndex];
+      if (previous) return { duplicate: true, attempt: { ...previous } };
+
+      const stored = { ...attempt, at: nowIso() };
+      quiz.answers[attempt.questionIndex] = stored;
+      quizAttempts.push(stored);
+      return { duplicate: false, attempt: { ...stored } };
+    },
+
+    async listQuizAttempts(filter = {}) {
+      const matches = quizAttempts.filter((a) => matchesAttemptFilter(a, filter));
+      const limited = filter.limit ? matches.slice(-filter.limit) : matches;
+      return limited.map((a) => ({ ...a }));
+    },
+
+    async getReviewItem(studentEmail, itemId) {
+      const item = reviewItems.get(reviewItemKey(studentEmail, itemId));
+      return item ? JSON.parse(JSON.stringify(item)) : null;
+    },
+
+    async saveReviewItem(item) {
+      const stored = JSON.parse(JSON.stringify({ ...item, updatedAt: nowIso() }));
+      reviewItems.set(reviewItemKey(item.studentEmail, item.itemId), stored);
+      return { ...stored };
+    },
+
+    // Oldest due first.
+    async listReviewItems(filter = {}) {
+      const matches = Array.from(reviewItems.values())
+        .filter((item) => matchesReviewFilter(item, filter))
+        .sort((a, b) => (a.dueAt < b.dueAt ? -1 : a.dueAt > b.dueAt ? 1 : 0));
+      const limited = filter.limit ? matches.slice(0, filter.limit) : matches;
+      return limited.map((item) => JSON.parse(JSON.stringify(item)));
+    },
+
+    async saveCourseNote(note) {
+      const stored = { ...note, courseKey: courseKey(note.courseName), updatedAt: nowIso() };
+      courseNotes.set(note.noteId, stored);
+      return { ...stored };
+    },
+
+    // All notes for these courses (or every note), oldest first.
+    async listCourseNotes({ courseNames } = {}) {
+      const keys = courseNames ? new Set(courseNames.map(courseKey)) : null;
+      return Array.from(courseNotes.values())
+        .filter((n) => !keys || keys.has(n.courseKey))
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0))
+        .map((n) => ({ ...n }));
+    },
+
+    async deleteCourseNote(noteId) {
+      return courseNotes.delete(noteId);
+    },
+
+    async logScopeDecision(decision) {
+      const stored = { ...decision, at: nowIso() };
+      scopeDecisions.push(stored);
+      return { ...stored };
+    },
+
+    // Newest first.
+    async listScopeDecisions(filter = {}) {
+      const matches = scopeDecisions.filter((d) => matchesScopeFilter(d, filter)).reverse();
+      const limited = filter.limit ? matches.slice(0, filter.limit) : matches;
+      return limited.map((d) => ({ ...d }));
+    },
+
+    async getLesson(lessonId) {
+      const lesson = lessons.get(lessonId);
+      return lesson ? JSON.parse(JSON.stringify(lesson)) : null;
+    },
+
+    async saveLesson(lesson) {
+      const stored = JSON.parse(JSON.stringify(lesson));
+      lessons.set(lesson.lessonId, stored);
+      return { ...stored };
+    },
+
+    // Most recently updated first.
+    async listLessons({ studentEmail, statuses, limit } = {}) {
+      const matches = Array.from(lessons.values())
+        .filter((l) => l.studentEmail === studentEmail && (!statuses || statuses.includes(l.status)))
+        .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0));
+      const limited = limit ? matches.slice(0, limit) : matches;
+      return limited.map((l) => JSON.parse(JSON.stringify(l)));
+    },
+
+    async getProgress(studentEmail) {
+      const doc = progress.get(progressKey(studentEmail));
+      return doc ? JSON.parse(JSON.stringify(doc)) : null;
+    },
+
+    async saveProgress(doc) {
+      const stored = JSON.parse(JSON.stringify(doc));
+      progress.set(progressKey(doc.studentEmail), stored);
+      return { ...stored };
+    },
+
+    // Every student's progress doc, most recently updated first.
+    async listProgress({ limit } = {}) {
+      const docs = Array.from(progress.values()).sort((a, b) =>
+        a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0
+      );
+      return (limit ? docs.slice(0, limit) : docs).map((d) => JSON.parse(JSON.stringify(d)));
+    },
+
+    async recordUsage(record) {
+      const stored = { ...record, at: record.at || nowIso() };
+      usage.push(stored);
+      return { ...stored };
+    },
+
+    // Oldest first.
+    async listUsage(filter = {}) {
+      const matches = usage.filter((r) => matchesUsageFilter(r, filter));
+      const limited = filter.limit ? matches.slice(0, filter.limit) : matches;
+      return limited.map((r) => ({ ...r }));
+    },
+  };
+}
+
+/**
+ * Firestore adapter.
+ *
+ * @param {import("@google-cloud/firestore").Firestore} [db]  defaults to a new client
+ */
+function createFirestoreAdapter(db) {
+  if (!db) {
+    const { Firestore } = require("@google-cloud/firestore");
+    db = new Firestore({ ignoreUndefinedProperties: true });
+  }
+  const sessions = db.collection(SESSIONS_COLLECTION);
+  const quizzes = db.collection(QUIZZES_COLLECTION);
+  const quizAttempts = db.collection(QUIZ_ATTEMPTS_COLLECTION);
+  const reviewItems = db.collection(REVIEW_ITEMS_COLLECTION);
+  const courseNotes = db.collection(COURSE_NOTES_COLLECTION);
+  const scopeDecisions = db.collection(SCOPE_DECISIONS_COLLECTION);
+  const lessons = db.collection(LESSONS_COLLECTION);
+  const progress = db.collection(PROGRESS_COLLECTION);
+  const usage = db.collection(USAGE_COLLECTION);
+
+  return {
+    kind: "firestore",
+
+    async createSession(data) {
+      const ref = sessions.doc();
+      const doc = {
+        ...data,
+        sessionId: ref.id,
+        turnCount: 0,
+        createdAt: nowIso(),
+        updatedAt: nowIso(),
+      };
+      await ref.set(doc);
+      return doc;
+    },
+
+    async getSession(sessionId) {
+      if (!sessionId) return null;
+      const snap = await sessions.doc(String(sessionId)).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async updateSession(sessionId, patch) {
+      await sessions.doc(sessionId).update({ ...patch, updatedAt: nowIso() });
+    },
+
+    // Most recently active first. Only one array-contains filter is allowed per
+    // query, so a course filter next to a cohort filter is applied here.
+    // Filtered queries need composite indexes with `updatedAt`.
+    async listSessions({ studentEmail, cohort, courseName, limit } = {}) {
+      let q = sessions;
+      if (studentEmail) q = q.where("studentEmail", "==", studentEmail);
+      if (cohort) q = q.where("cohorts", "array-contains", cohort);
+      else if (courseName) q = q.where("courseNames", "array-contains", courseName);
+      q = q.orderBy("updatedAt", "desc");
+      if (limit) q = q.limit(limit);
+      const snap = await q.get();
+      return snap.docs
+        .map((d) => d.data())
+        .filter((s) => !cohort || !courseName || (s.courseNames || []).includes(courseName));
+    },
+
+    // Transaction keeps `seq` gapless and ordered even with concurrent writers.
+    async appendTurn(sessionId, turn) {
+      const ref = sessions.doc(sessionId);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw new Error(`Session not found: ${sessionId}`);
+
+        const seq = snap.data().turnCount || 0;
+        const stored = { ...turn, seq, at: nowIso() };
+        tx.set(ref.collection("turns").doc(String(seq).padStart(6, "0")), stored);
+        tx.update(ref, { turnCount: seq + 1, updatedAt: stored.at });
+        return stored;
+      });
+    },
+
+    async listTurns(sessionId, limit) {
+      let q = sessions.doc(sessionId).collection("turns").orderBy("seq", "asc");
+      if (limit) q = q.limitToLast(limit);
+      const snap = await q.get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    async saveQuiz(quiz) {
+      const ref = quizzes.doc();
+      const doc = { ...quiz, quizId: ref.id, answers: {}, createdAt: nowIso() };
+      await ref.set(doc);
+      return doc;
+    },
+
+    async getQuiz(quizId) {
+      if (!quizId) return null;
+      const snap = await quizzes.doc(String(quizId)).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    // One graded attempt per question: the quiz doc's `answers` map is the lock.
+    async recordQuizAttempt(attempt) {
+      const ref = quizzes.doc(attempt.quizId);
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw new Error(`Quiz not found: ${attempt.quizId}`);
+
+        const previous = (snap.data().answers || {})[attempt.questionIndex];
+        if (previous) return { duplicate: true, attempt: previous };
+
+        const stored = { ...attempt, at: nowIso() };
+        tx.update(ref, { [`answers.${attempt.questionIndex}`]: stored });
+        tx.set(quizAttempts.doc(), stored);
+        return { duplicate: false, attempt: stored };
+      });
+    },
+
+    async listQuizAttempts({ studentEmail, topic, quizId, sessionId, limit } = {}) {
+      let q = quizAttempts;
+      if (studentEmail) q = q.where("studentEmail", "==", studentEmail);
+      if (topic) q = q.where("topic", "==", topic);
+      if (quizId) q = q.where("quizId", "==", quizId);
+      if (sessionId) q = q.where("sessionId", "==", sessionId);
+      q = q.orderBy("at", "asc");
+      if (limit) q = q.limitToLast(limit);
+      const snap = await q.get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    async getReviewItem(studentEmail, itemId) {
+      const snap = await reviewItems.doc(reviewItemKey(studentEmail, itemId)).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async saveReviewItem(item) {
+      const stored = { ...item, updatedAt: nowIso() };
+      await reviewItems.doc(reviewItemKey(item.studentEmail, item.itemId)).set(stored);
+      return stored;
+    },
+
+    // Needs a composite index on (studentEmail, dueAt).
+    async listReviewItems({ studentEmail, dueBefore, limit } = {}) {
+      let q = reviewItems.where("studentEmail", "==", studentEmail);
+      if (dueBefore) q = q.where("dueAt", "<=", dueBefore);
+      q = q.orderBy("dueAt", "asc");
+      if (limit) q = q.limit(limit);
+      const snap = await q.get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    async saveCourseNote(note) {
+      const stored = { ...note, courseKey: courseKey(note.courseName), updatedAt: nowIso() };
+      await courseNotes.doc(note.noteId).set(stored);
+      return stored;
+    },
+
+    // "in" queries take at most 30 values, so course names are queried in batches.
+    async listCourseNotes({ courseNames } = {}) {
+      let docs;
+      if (!courseNames) {
+        docs = (await courseNotes.get()).docs;
+      } else {
+        const keys = Array.from(new Set(courseNames.map(courseKey)));
+        docs = [];
+        for (let i = 0; i < keys.length; i += 30) {
+          const snap = await courseNotes.where("courseKey", "in", keys.slice(i, i + 30)).get();
+          docs.push(...snap.docs);
+        }
+      }
+      return docs
+        .map((d) => d.data())
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0));
+    },
+
+    async deleteCourseNote(noteId) {
+      const ref = courseNotes.doc(noteId);
+      const snap = await ref.get();
+      if (!snap.exists) return false;
+      await ref.delete();
+      return true;
+    },
+
+    async logScopeDecision(decision) {
+      const stored = { ...decision, at: nowIso() };
+      await scopeDecisions.add(stored);
+      return stored;
+    },
+
+    // Newest first. Filtered queries need composite indexes with `at`.
+    async listScopeDecisions({ studentEmail, verdict, courseName, limit } = {}) {
+      let q = scopeDecisions;
+      if (studentEmail) q = q.where("studentEmail", "==", studentEmail);
+      if (verdict) q = q.where("verdict", "==", verdict);
+      if (courseName) q = q.where("courseNames", "array-contains", courseName);
+      q = q.orderBy("at", "desc");
+      if (limit) q = q.limit(limit);
+      const snap = await q.get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    async getLesson(lessonId) {
+      const snap = await lessons.doc(lessonId).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async saveLesson(lesson) {
+      await lessons.doc(lesson.lessonId).set(lesson);
+      return lesson;
+    },
+
+    // Most recently updated first. Needs a composite index on (studentEmail, updatedAt);
+    // a student has few lessons, so status is filtered here.
+    async listLessons({ studentEmail, statuses, limit } = {}) {
+      const snap = await lessons
+        .where("studentEmail", "==", studentEmail)
+        .orderBy("updatedAt", "desc")
+        .get();
+      const matches = snap.docs
+        .map((d) => d.data())
+        .filter((l) => !statuses || statuses.includes(l.status));
+      return limit ? matches.slice(0, limit) : matches;
+    },
+
+    async getProgress(studentEmail) {
+      const snap = await progress.doc(progressKey(studentEmail)).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async saveProgress(doc) {
+      await progress.doc(progressKey(doc.studentEmail)).set(doc);
+      return doc;
+    },
+
+    async listProgress({ limit } = {}) {
+      let q = progress.orderBy("updatedAt", "desc");
+      if (limit) q = q.limit(limit);
+      const snap = await q.get();
+      return snap.docs.map((d) => d.data());
+    },
+
+    async recordUsage(record) {
+      const stored = { ...record, at: record.at || nowIso() };
+      await usage.add(stored);
+      return stored;
+    },
+
+    // Oldest first. The studentEmail filter needs a composite index on (studentEmail, at).
+    async listUsage({ studentEmail, since, until, limit } = {}) {
+      let q = usage;
+      if (studentEmail) q = q.where("studentEmail", "==", studentEmail);
+      if (since) q = q.where("at", ">=", since);
+      if (until) q = q.where("at", "<", until);
+      q = q.orderBy("at", "asc");
+      if (limit) q = q.limit(limit);
+      const snap = await q.get();
+      return snap.docs.map((d) => d.data());
+    },
+  };
+}
+
+/**
+ * Build the session store from SESSION_STORE (firestore | memory).
+ * Defaults to Firestore in production and memory elsewhere.
+ *
+ * @param {object} [opts]  { backend, db }
+ */
+function createSessionStore(opts = {}) {
+  const backend = (
+    opts.backend ||
+    process.env.SESSION_STORE ||
+    (process.env.NODE_ENV === "production" ? "firestore" : "memory")
+  ).toLowerCase();
+
+  if (backend === "memory") return createMemoryAdapter();
+  if (backend === "firestore") return createFirestoreAdapter(opts.db);
+  throw new Error(`Unknown SESSION_STORE backend: ${backend}`);
+}
+
+module.exports = {
+  createSessionStore,
+  createMemoryAdapter,
+  createFirestoreAdapter,
+};
@@ -0,0 +1,113 @@
+// speechRecognition.js
+// Server-side streaming speech recognition (Google Cloud Speech) for the /ws voice socket.
+
+const speech = require("@google-cloud/speech");
+
+const SUPPORTED_ENCODINGS = new Set(["LINEAR16", "WEBM_OPUS", "OGG_OPUS"]);
+
+let _speechClient = null;
+
+/**
+ * Get the Speech client, created lazily with Application Default Credentials.
+ */
+function getSpeechClient() {
+  if (!_speechClient) _speechClient = new speech.SpeechClient();
+  return _speechClient;
+}
+
+/**
+ * Replace the recognizer client (e.g. with a local fake in tests).
+ * The client only needs `streamingRecognize(request)` returning a duplex stream
+ * that accepts raw audio Buffers and emits StreamingRecognizeResponse objects.
+ *
+ * @param {object|null} client  pass null to go back to the real SpeechClient
+ */
+function setSpeechClient(client) {
+  _speechClient = client;
+}
+
+/**
+ * Open a single-utterance streaming recognizer.
+ *
+ * @param {object} opts
+ * @param {string} [opts.encoding]        LINEAR16 (default), WEBM_OPUS or OGG_OPUS
+ * @param {number} [opts.sampleRateHertz] required for LINEAR16 (default 16000)
+ * @param {string} [opts.languageCode]    defaults to STT_LANGUAGE_CODE or en-US
+ * @param {function} [opts.onPartial]     (text) for interim transcripts
+ * @param {function} [opts.onFinal]       (text) once the utterance is final
+ * @param {function} [opts.onError]       (err)
+ * @param {object} [opts.client]          overrides the shared Speech client
+ * @returns {{ write: function(Buffer), end: function() }}
+ */
+function createStreamingRecognizer({
+  encoding,
+  sampleRateHertz,
+  languageCode,
+  onPartial,
+  onFinal,
+  onError,
+  client,
+} = {}) {
+  const enc = SUPPORTED_ENCODINGS.has(encoding) ? encoding : "LINEAR16";
+
+  const config = {
+    encoding: enc,
+    languageCode:
+      languageCode || process.env.STT_LANGUAGE_CODE || "en-US",
+    enableAutomaticPunctuation: true,
+  };
+  if (enc === "LINEAR16") {
+    config.sampleRateHertz = Number(sampleRateHertz) || 16000;
+  } else if (sampleRateHertz) {
+    config.sampleRateHertz = Number(sampleRateHertz);
+  }
+
+  const stream = (client || getSpeechClient()).streamingRecognize({
+    config,
+    interimResults: true,
+    singleUtterance: true,
+  });
+
+  let closed = false;
+  let finalSent = false;
+
+  stream.on("data", (response) => {
+    const result = response?.results?.[0];
+    const text = String(result?.alternatives?.[0]?.transcript || "").trim();
+    if (!text || finalSent) return;
+
+    if (result.isFinal) {
+      finalSent = true;
+      if (onFinal) onFinal(text);
+    } else if (onPartial) {
+      onPartial(text);
+    }
+  });
+
+  stream.on("error", (err) => {
+    closed = true;
+    if (onError) onError(err);
+  });
+
+  stream.on("end", () => {
+    closed = true;
+  });
+
+  return {
+    write(chunk) {
+      if (closed) return;
+      stream.write(chunk);
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      stream.end();
+    },
+  };
+}
+
+module.exports = {
+  getSpeechClient,
+  setSpeechClient,
+  createStreamingRecognizer,
+};
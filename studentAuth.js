@@ -0,0 +1,181 @@
+// studentAuth.js
+// Who is calling.
+//
+//   - Student routes (WS `start`, /api/chat, quiz answers, file uploads) need a
+//     short-lived token the LMS signs for one student. The student's email and
+//     cohort come from the token, never from the request body.
+//   - Server-to-server and staff routes (calendar, /admin, instructor reports)
+//     keep the shared LMS key in `x-api-key`.
+//
+// Student tokens are HS256 JWTs:
+//   header   { "alg": "HS256", "typ": "JWT" }
+//   payload  { "sub": "<student email>", "cohort": "<cohort>" | ["<cohort>", ...],
+//              "iat": <unix seconds>, "exp": <unix seconds> }
+// `exp` is required and `exp - iat` may not exceed STUDENT_TOKEN_MAX_TTL_SECONDS.
+//
+// Rotation: new tokens are signed with the current secret, and the previous
+// secrets keep verifying until the tokens they signed have expired. LMS keys work
+// the same way: the previous keys are still accepted while callers move over.
+//
+// ENV:
+//   STUDENT_TOKEN_SECRET=...              (signs and verifies student tokens)
+//   STUDENT_TOKEN_PREVIOUS_SECRETS=a,b    (still verify, during rotation)
+//   STUDENT_TOKEN_MAX_TTL_SECONDS=7200    (longest token lifetime accepted)
+//   MY_LMS_API_KEY=...                    (server-to-server key)
+//   MY_LMS_API_PREVIOUS_KEYS=a,b          (still accepted, during rotation)
+
+const crypto = require("crypto");
+
+const DEFAULT_MAX_TTL_SECONDS = 2 * 60 * 60;
+const CLOCK_SKEW_SECONDS = 60;
+
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+const splitList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const base64url = (value) =>
+  Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const EMAIL_RE = /^[^\s@]{1,64}@[^\s@]{1,190}\.[a-z]{2,}$/i;
+
+/**
+ * Create the student token signer/verifier.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.secrets]       current secret first (default from ENV)
+ * @param {number}   [opts.maxTtlSeconds]
+ * @param {function} [opts.now]           clock, for tests
+ */
+function createStudentTokens({
+  secrets = [
+    process.env.STUDENT_TOKEN_SECRET,
+    ...splitList(process.env.STUDENT_TOKEN_PREVIOUS_SECRETS),
+  ].filter(Boolean),
+  maxTtlSeconds = Number(process.env.STUDENT_TOKEN_MAX_TTL_SECONDS) || DEFAULT_MAX_TTL_SECONDS,
+  now = () => Date.now(),
+} = {}) {
+  if (!secrets.length) {
+    console.warn("STUDENT_TOKEN_SECRET is not set; every student token will be rejected.");
+  }
+
+  const signature = (secret, signingInput) =>
+    crypto.createHmac("sha256", secret).update(signingInput).digest("base64url");
+
+  return {
+    maxTtlSeconds,
+
+    /**
+     * Sign a token for one student with the current secret.
+     *
+     * @param {object} claims
+     * @param {string} claims.email
+     * @param {string|string[]} [claims.cohort]
+     * @param {number} [claims.ttlSeconds]  capped at maxTtlSeconds
+     * @returns {{ token: string, expiresAt: string }}
+     */
+    mint({ email, cohort, ttlSeconds = maxTtlSeconds }) {
+      if (!secrets.length) throw new Error("STUDENT_TOKEN_SECRET is not set.");
+      const sub = String(email || "").trim().toLowerCase();
+      if (!EMAIL_RE.test(sub)) throw authError(400, "A valid student email is required.");
+
+      const iat = Math.floor(now() / 1000);
+      const exp = iat + Math.min(Math.max(Number(ttlSeconds) || maxTtlSeconds, 60), maxTtlSeconds);
+      const payload = { sub, ...(cohort && { cohort }), iat, exp };
+      const signingInput = `${base64url({ alg: "HS256", typ: "JWT" })}.${base64url(payload)}`;
+      return {
+        token: `${signingInput}.${signature(secrets[0], signingInput)}`,
+        expiresAt: new Date(exp * 1000).toISOString(),
+      };
+    },
+
+    /**
+     * Verify a token. Errors carry `status` 401.
+     *
+     * @returns {{ email: string, cohorts: string[], expiresAt: string }}
+     */
+    verify(token) {
+      const parts = String(token || "").split(".");
+      if (parts.length !== 3) throw authError(401, "A valid student token is required.");
+
+      const [headerPart, payloadPart, sig] = parts;
+      let header;
+      let payload;
+      try {
+        header = JSON.parse(Buffer.from(headerPart, "base64url").toString("utf8"));
+        payload = JSON.parse(Buffer.from(payloadPart, "base64url").toString("utf8"));
+      } catch (_) {
+        throw authError(401, "A valid student token is required.");
+      }
+      // only HS256: never let the token choose "none" or another algorithm
+      if (!header || header.alg !== "HS256") throw authError(401, "Unsupported token algorithm.");
+
+      const signingInput = `${headerPart}.${payloadPart}`;
+      if (!secrets.some((secret) => safeEqual(signature(secret, signingInput), sig))) {
+        throw authError(401, "Invalid student token signature.");
+      }
+
+      const nowSeconds = Math.floor(now() / 1000);
+      if (typeof payload.exp !== "number") throw authError(401, "Student token has no expiry.");
+      if (payload.exp + CLOCK_SKEW_SECONDS <= nowSeconds) {
+        throw authError(401, "Student token has expired.");
+      }
+      const issuedAt = typeof payload.iat === "number" ? payload.iat : nowSeconds;
+      if (issuedAt - CLOCK_SKEW_SECONDS > nowSeconds) {
+        throw authError(401, "Student token is not valid yet.");
+      }
+      if (payload.exp - issuedAt > maxTtlSeconds) {
+        throw authError(401, "Student token lifetime is too long.");
+      }
+
+      const email = String(payload.sub || payload.email || "").trim().toLowerCase();
+      if (!EMAIL_RE.test(email)) throw authError(401, "Student token has no valid email.");
+
+      const cohorts = (Array.isArray(payload.cohort) ? payload.cohort : [payload.cohort])
+        .map((c) => String(c || "").trim())
+        .filter(Boolean);
+
+      return { email, cohorts, expiresAt: new Date(payload.exp * 1000).toISOString() };
+    },
+  };
+}
+
+/**
+ * Check for the shared LMS key, accepting the current and previous keys.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.keys]  default MY_LMS_API_KEY, then MY_LMS_API_PREVIOUS_KEYS
+ * @returns {function(string): boolean}
+ */
+function createServerKeyCheck({
+  keys = [process.env.MY_LMS_API_KEY, ...splitList(process.env.MY_LMS_API_PREVIOUS_KEYS)].filter(
+    Boolean
+  ),
+} = {}) {
+  return (key) => !!key && keys.some((k) => safeEqual(k, key));
+}
+
+/**
+ * Bearer token from the Authorization header, else `token` in the body.
+ */
+function readStudentToken(req) {
+  const header = String(req.headers.authorization || "");
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+  if (bearer) return bearer[1];
+  return (req.body && req.body.token) || null;
+}
+
+module.exports = {
+  createStudentTokens,
+  createServerKeyCheck,
+  readStudentToken,
+};
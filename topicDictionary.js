@@ -0,0 +1,258 @@
+// topicDictionary.js
+// Course → tools/synonyms dictionary used to build a student's allowed topics.
+// Each entry adds its `phrases` whenever one of its `match` patterns (case-insensitive
+// regex) matches a course, topic or lesson name from the enrollment payload.
+//
+// Sources (TOPIC_DICTIONARY_SOURCE):
+//   - "file" (default): TOPIC_DICTIONARY_PATH, default config/topic-dictionary.json.
+//     Polled for changes and reloaded in place.
+//   - "firestore": the highest `version` doc in TOPIC_DICTIONARY_COLLECTION
+//     (default praxis_topic_dictionary), watched with onSnapshot. Publishing a new
+//     version doc hot-reloads it; the bundled file is used until the first snapshot.
+//
+// An invalid dictionary is rejected as a whole and the previous one stays active.
+// A reload counts as a change when the version or the entries differ.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_PATH = path.join(__dirname, "config", "topic-dictionary.json");
+const DEFAULT_COLLECTION = "praxis_topic_dictionary";
+const FILE_POLL_MS = Number(process.env.TOPIC_DICTIONARY_POLL_MS) || 5000;
+const MAX_PHRASE_LENGTH = 100;
+
+/**
+ * Validate a raw dictionary and compile its patterns.
+ * Throws one Error listing every problem found.
+ *
+ * @param {object} raw  { version, entries: [{ id, match: string[], phrases: string[] }] }
+ */
+function compileTopicDictionary(raw) {
+  const problems = [];
+  if (!raw || typeof raw !== "object") throw new Error("Dictionary must be a JSON object.");
+
+  const version = raw.version;
+  const validVersion =
+    (Number.isInteger(version) && version > 0) ||
+    (typeof version === "string" && version.trim() !== "");
+  if (!validVersion) {
+    problems.push('"version" must be a positive integer or a non-empty string.');
+  }
+  if (!Array.isArray(raw.entries) || !raw.entries.length) {
+    problems.push('"entries" must be a non-empty array.');
+  }
+
+  const ids = new Set();
+  const entries = (Array.isArray(raw.entries) ? raw.entries : []).map((entry, i) => {
+    const where = `entries[${i}]${entry && entry.id ? ` (${entry.id})` : ""}`;
+    if (!entry || typeof entry !== "object") {
+      problems.push(`${where} must be an object.`);
+      return null;
+    }
+
+    const id = typeof entry.id === "string" ? entry.id.trim() : "";
+    if (!id) problems.push(`${where}: "id" is required.`);
+    else if (ids.has(id)) problems.push(`${where}: duplicate id.`);
+    ids.add(id);
+
+    const patterns = [];
+    if (!Array.isArray(entry.match) || !entry.match.length) {
+      problems.push(`${where}: "match" must be a non-empty array of patterns.`);
+    } else {
+      for (const source of entry.match) {
+        try {
+          if (typeof source !== "string" || !source.trim()) throw new Error("empty pattern");
+          patterns.push(new RegExp(source, "i"));
+        } catch (err) {
+          problems.push(`${where}: invalid pattern ${JSON.stringify(source)} (${err.message}).`);
+        }
+      }
+    }
+
+    const phrases = Array.isArray(entry.phrases)
+      ? entry.phrases
+          .map((p) => (typeof p === "string" ? p.trim().toLowerCase() : ""))
+          .filter(Boolean)
+      : [];
+    if (!phrases.length || phrases.length !== (entry.phrases || []).length) {
+      problems.push(`${where}: "phrases" must be a non-empty array of non-empty strings.`);
+    } else if (phrases.some((p) => p.length > MAX_PHRASE_LENGTH)) {
+      problems.push(`${where}: phrases must be at most ${MAX_PHRASE_LENGTH} characters.`);
+    }
+
+    return { id, match: entry.match, patterns, phrases };
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid topic dictionary:\n- ${problems.join("\n- ")}`);
+  }
+
+  // identifies the content, so an edit that keeps the same `version` still reloads
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(entries.map(({ id, match, phrases }) => [id, match, phrases])))
+    .digest("hex");
+
+  return {
+    version,
+    fingerprint,
+    entries,
+    /** Extra phrases for one course/topic name. */
+    phrasesFor(text) {
+      const t = String(text || "").toLowerCase();
+      const out = [];
+      for (const entry of entries) {
+        if (entry.patterns.some((re) => re.test(t))) out.push(...entry.phrases);
+      }
+      return out;
+    },
+  };
+}
+
+function readDictionaryFile(filePath) {
+  return compileTopicDictionary(JSON.parse(fs.readFileSync(filePath, "utf8")));
+}
+
+/**
+ * Load the dictionary and keep it fresh.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.source]    file | firestore (default TOPIC_DICTIONARY_SOURCE or file)
+ * @param {string} [opts.filePath]  dictionary file (also the fallback for firestore)
+ * @param {object} [opts.db]        Firestore instance
+ * @param {boolean} [opts.watch]    hot reload (default true)
+ * @param {function} [opts.onChange] (dictionary) after a reload changes the active entries
+ */
+function createTopicDictionary(opts = {}) {
+  const source = (opts.source || process.env.TOPIC_DICTIONARY_SOURCE || "file").toLowerCase();
+  const filePath = opts.filePath || process.env.TOPIC_DICTIONARY_PATH || DEFAULT_PATH;
+  const collection = process.env.TOPIC_DICTIONARY_COLLECTION || DEFAULT_COLLECTION;
+  const watch = opts.watch !== false;
+
+  let current = { version: null, fingerprint: null, entries: [], phrasesFor: () => [] };
+  let loadedFrom = null;
+  let loadedAt = null;
+  let lastError = null;
+  let stopWatching = () => {};
+
+  function activate(dictionary, from) {
+    const changed =
+      dictionary.version !== current.version || dictionary.fingerprint !== current.fingerprint;
+    const replacing = loadedFrom !== null && changed;
+    current = dictionary;
+    loadedFrom = from;
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    if (changed) {
+      console.log(
+        `📚 Topic dictionary v${dictionary.version} loaded from ${from} (${dictionary.entries.length} entries)`
+      );
+    }
+    if (replacing && opts.onChange) opts.onChange(dictionary);
+  }
+
+  function reject(err, from) {
+    lastError = { message: err.message, from, at: new Date().toISOString() };
+    console.error(`Topic dictionary from ${from} rejected, keeping v${current.version}:`, err.message);
+  }
+
+  function loadFile() {
+    try {
+      activate(readDictionaryFile(filePath), filePath);
+    } catch (err) {
+      reject(err, filePath);
+    }
+  }
+
+  function loadFromSnapshot(snap, from) {
+    if (snap.empty) {
+      reject(new Error("no dictionary documents found"), from);
+      return;
+    }
+    try {
+      activate(compileTopicDictionary(snap.docs[0].data()), from);
+    } catch (err) {
+      reject(err, from);
+    }
+  }
+
+  function firestoreQuery() {
+    let db = opts.db;
+    if (!db) {
+      const { Firestore } = require("@google-cloud/firestore");
+      db = new Firestore();
+    }
+    return db.collection(collection).orderBy("version", "desc").limit(1);
+  }
+
+  // the bundled/local file is always the starting point
+  loadFile();
+
+  if (source === "firestore") {
+    const from = `firestore:${collection}`;
+    const query = firestoreQuery();
+    if (watch) {
+      stopWatching = query.onSnapshot(
+        (snap) => loadFromSnapshot(snap, from),
+        (err) => reject(err, from)
+      );
+    } else {
+      query.get().then((snap) => loadFromSnapshot(snap, from), (err) => reject(err, from));
+    }
+  } else if (source === "file") {
+    if (watch) {
+      const onChange = (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) loadFile();
+      };
+      fs.watchFile(filePath, { interval: FILE_POLL_MS }, onChange).unref();
+      stopWatching = () => fs.unwatchFile(filePath, onChange);
+    }
+  } else {
+    throw new Error(`Unknown TOPIC_DICTIONARY_SOURCE: ${source}`);
+  }
+
+  return {
+    /** The active compiled dictionary. */
+    current() {
+      return current;
+    },
+
+    /** Re-read the source now; resolves with info(). */
+    async reload() {
+      if (source === "firestore") {
+        const from = `firestore:${collection}`;
+        try {
+          loadFromSnapshot(await firestoreQuery().get(), from);
+        } catch (err) {
+          reject(err, from);
+        }
+      } else {
+        loadFile();
+      }
+      return this.info();
+    },
+
+    info() {
+      return {
+        source,
+        version: current.version,
+        fingerprint: current.fingerprint,
+        loadedFrom,
+        loadedAt,
+        entryCount: current.entries.length,
+        lastError,
+        entries: current.entries.map(({ id, match, phrases }) => ({ id, match, phrases })),
+      };
+    },
+
+    close() {
+      stopWatching();
+    },
+  };
+}
+
+module.exports = {
+  compileTopicDictionary,
+  createTopicDictionary,
+};
@@ -0,0 +1,206 @@
+// tutorTools.js
+// Gemini function-calling tools for the tutor (class schedule, meeting links, ...).
+//
+// Tools run server-side with a per-session context:
+//   { studentEmail, calendarIds }
+// so the model can never query another student's calendar.
+//
+// Add a tool with registry.register({ name, description, parameters, handler }).
+
+const { getEventsForStudent, extractMeetingLink } = require("./googleCalendar");
+
+/**
+ * Cohort/course name → Google Calendar ID, from COHORT_CALENDARS (JSON object).
+ * Keys are matched case-insensitively.
+ */
+function loadCohortCalendarMap() {
+  const raw = process.env.COHORT_CALENDARS;
+  if (!raw) return new Map();
+  try {
+    const parsed = JSON.parse(raw);
+    return new Map(
+      Object.entries(parsed).map(([k, v]) => [String(k).trim().toLowerCase(), String(v)])
+    );
+  } catch (e) {
+    console.error("COHORT_CALENDARS is not valid JSON:", e.message);
+    return new Map();
+  }
+}
+
+const COHORT_CALENDARS = loadCohortCalendarMap();
+
+/**
+ * Resolve the calendar IDs for a student's enrollments.
+ * An explicit calendarId from the Pluralcode payload wins; otherwise the cohort
+ * name, then the course name, is looked up in COHORT_CALENDARS.
+ *
+ * @param {Array<{ courseName: string, cohort?: string, calendarId?: string }>} cohorts
+ * @returns {string[]}
+ */
+function resolveCalendarIds(cohorts) {
+  const ids = new Set();
+  for (const c of cohorts || []) {
+    const id =
+      c.calendarId ||
+      COHORT_CALENDARS.get(String(c.cohort || "").trim().toLowerCase()) ||
+      COHORT_CALENDARS.get(String(c.courseName || "").trim().toLowerCase());
+    if (id) ids.add(id);
+  }
+  return Array.from(ids);
+}
+
+/**
+ * Create an empty tool registry.
+ */
+function createToolRegistry() {
+  const tools = new Map();
+
+  return {
+    /**
+     * @param {object} tool
+     * @param {string} tool.name         snake_case function name shown to the model
+     * @param {string} tool.description  when the model should call it
+     * @param {object} [tool.parameters] Gemini Schema (type OBJECT) for the arguments
+     * @param {function} tool.handler    async (args, context) => JSON-serializable result
+     */
+    register({ name, description, parameters, handler }) {
+      if (!/^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/.test(name || "")) {
+        throw new Error(`Invalid tool name: ${name}`);
+      }
+      if (typeof handler !== "function") {
+        throw new Error(`Tool ${name} needs a handler function`);
+      }
+      tools.set(name, { name, description, parameters, handler });
+      return this;
+    },
+
+    has(name) {
+      return tools.has(name);
+    },
+
+    isEmpty() {
+      return tools.size === 0;
+    },
+
+    /** functionDeclarations for the Gemini `tools` config */
+    declarations() {
+      return Array.from(tools.values()).map(({ name, description, parameters }) => ({
+        name,
+        description,
+        ...(parameters && { parameters }),
+      }));
+    },
+
+    /**
+     * Run a tool. Errors are returned to the model as { error } so it can
+     * apologise naturally instead of failing the whole turn.
+     */
+    async execute(name, args, context) {
+      const tool = tools.get(name);
+      if (!tool) return { error: `Unknown tool: ${name}` };
+      try {
+        const result = await tool.handler(args || {}, context || {});
+        return result && typeof result === "object" ? result : { result };
+      } catch (err) {
+        console.error(`Tool ${name} failed:`, err.message || err);
+        return { error: `The ${name} tool failed: ${err.message || "unknown error"}` };
+      }
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Calendar tools
+// -----------------------------------------------------------------------------
+async function listUpcomingClasses({ studentEmail, calendarIds }) {
+  const lists = await Promise.all(
+    calendarIds.map((id) => getEventsForStudent(id, studentEmail))
+  );
+
+  return lists
+    .flat()
+    .map((ev) => ({
+      summary: ev.summary || "Live class",
+      start: ev.start?.dateTime || ev.start?.date || null,
+      end: ev.end?.dateTime || ev.end?.date || null,
+      timeZone: ev.start?.timeZone || null,
+      meetingLink: extractMeetingLink(ev) || null,
+    }))
+    .filter((c) => c.start)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+const NO_CALENDAR = {
+  error: "No class calendar is linked to this student's cohort yet.",
+};
+
+function registerCalendarTools(registry) {
+  registry.register({
+    name: "get_my_upcoming_classes",
+    description:
+      "Get the student's upcoming live classes (title, start and end time) from their cohort calendar. Use this for any question about their class schedule or when their next class is.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        limit: {
+          type: "INTEGER",
+          description: "Maximum number of classes to return (default 5).",
+        },
+      },
+    },
+    handler: async ({ limit }, ctx) => {
+      if (!ctx.studentEmail || !ctx.calendarIds?.length) return NO_CALENDAR;
+
+      const max = Math.min(Math.max(Number(limit) || 5, 1), 20);
+      const classes = await listUpcomingClasses(ctx);
+      return {
+        now: new Date().toISOString(),
+        count: classes.length,
+        classes: classes.slice(0, max).map(({ meetingLink, ...c }) => c),
+      };
+    },
+  });
+
+  registry.register({
+    name: "get_meeting_link",
+    description:
+      "Get the video meeting link for the student's next live class, optionally the next one whose title matches class_name.",
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        class_name: {
+          type: "STRING",
+          description: "Optional part of the class title to match.",
+        },
+      },
+    },
+    handler: async ({ class_name }, ctx) => {
+      if (!ctx.studentEmail || !ctx.calendarIds?.length) return NO_CALENDAR;
+
+      const needle = String(class_name || "").trim().toLowerCase();
+      const classes = await listUpcomingClasses(ctx);
+      const next = classes.find(
+        (c) =>
+          c.meetingLink && (!needle || c.summary.toLowerCase().includes(needle))
+      );
+      if (!next) return { now: new Date().toISOString(), found: false };
+      return { now: new Date().toISOString(), found: true, ...next };
+    },
+  });
+
+  return registry;
+}
+
+/**
+ * The registry used by the tutor. Extend it with registerXxxTools(registry).
+ */
+function createDefaultToolRegistry() {
+  return registerCalendarTools(createToolRegistry());
+}
+
+module.exports = {
+  createToolRegistry,
+  createDefaultToolRegistry,
+  registerCalendarTools,
+  resolveCalendarIds,
+};
@@ -0,0 +1,281 @@
+// usageAccounting.js
+// What each student, cohort and course costs: one usage record per Gemini call
+// (prompt/output/thinking tokens from `usageMetadata`) and per TTS synthesis
+// (characters), with the model or voice used and the latency.
+//
+// Attribution: the server runs each student's work inside `run(context, fn)`
+// ({ studentEmail, sessionId, courseNames, cohorts }). Every call made from
+// there, including background summaries and classifier calls, is recorded
+// against that context through AsyncLocalStorage. Calls made outside a context
+// are recorded without a student.
+//
+// Records are written to the session store and never delay a reply. Costs are
+// worked out when a report is built, from USAGE_PRICING, so changing the prices
+// re-prices older records too.
+//
+// ENV:
+//   USAGE_PRICING={"<model or voice>":{"inputPerMillion":0.3,"outputPerMillion":2.5,"charsPerMillion":4}}
+//     (USD, merged over the defaults below)
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+// USD per million tokens (thinking tokens bill as output) / per million characters
+const DEFAULT_PRICING = {
+  "gemini-2.5-flash": { inputPerMillion: 0.3, outputPerMillion: 2.5 },
+  "gemini-2.5-flash-lite": { inputPerMillion: 0.1, outputPerMillion: 0.4 },
+  "gemini-2.5-pro": { inputPerMillion: 1.25, outputPerMillion: 10 },
+  "gemini-3-flash-preview": { inputPerMillion: 0.5, outputPerMillion: 3 },
+  "google-tts-standard": { charsPerMillion: 4 },
+};
+
+const GROUP_DIMENSIONS = ["day", "course", "model", "student", "cohort", "kind"];
+const DEFAULT_GROUP_BY = ["day", "course", "model"];
+const SUMMED_FIELDS = ["promptTokens", "outputTokens", "thoughtsTokens", "totalTokens", "ttsChars"];
+
+// Records from calls made outside a student context, or sessions without a course.
+const UNATTRIBUTED = "(unattributed)";
+
+function loadPricing() {
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.USAGE_PRICING || "{}") };
+  } catch (err) {
+    console.warn("USAGE_PRICING is not valid JSON; using default prices:", err.message);
+    return { ...DEFAULT_PRICING };
+  }
+}
+
+/**
+ * Empty token totals for one call (summed over its tool rounds).
+ */
+const emptyTokenUsage = () => ({
+  promptTokens: 0,
+  outputTokens: 0,
+  thoughtsTokens: 0,
+  totalTokens: 0,
+});
+
+/**
+ * Add one response's `usageMetadata` to `totals`.
+ */
+function addUsageMetadata(totals, meta) {
+  if (!meta) return totals;
+  const prompt = meta.promptTokenCount || 0;
+  const output = meta.candidatesTokenCount || 0;
+  const thoughts = meta.thoughtsTokenCount || 0;
+  totals.promptTokens += prompt;
+  totals.outputTokens += output;
+  totals.thoughtsTokens += thoughts;
+  // some stream chunks leave the total out
+  totals.totalTokens += meta.totalTokenCount || prompt + output + thoughts;
+  return totals;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.store  session store (recordUsage)
+ */
+function createUsageAccounting({ store }) {
+  const context = new AsyncLocalStorage();
+
+  function write(record) {
+    const ctx = context.getStore() || {};
+    store
+      .recordUsage({
+        ...record,
+        studentEmail: ctx.studentEmail || null,
+        sessionId: ctx.sessionId || null,
+        courseNames: ctx.courseNames || [],
+        cohorts: ctx.cohorts || [],
+        at: new Date().toISOString(),
+      })
+      .catch((err) => console.error("[Usage] failed to record usage:", err.message || err));
+  }
+
+  return {
+    /**
+     * Run `fn` with calls attributed to `ctx`. Pass a mutable object to fill it
+     * in later (e.g. a WS connection before its `start` message).
+     */
+    run(ctx, fn) {
+      return context.run(ctx, fn);
+    },
+
+    /** The context calls made here are attributed to, or null outside one. */
+    context() {
+      return context.getStore() || null;
+    },
+
+    /**
+     * @param {object} call
+     * @param {string} call.model
+     * @param {object} call.tokens     see emptyTokenUsage
+     * @param {number} call.latencyMs
+     */
+    recordModelCall({ model, tokens, latencyMs }) {
+      write({ kind: "model", model, ...tokens, ttsChars: 0, latencyMs });
+    },
+
+    /**
+     * @param {object} call
+     * @param {string} call.voice      pricing key, e.g. "google-tts-standard"
+     * @param {number} call.chars
+     * @param {number} call.latencyMs
+     */
+    recordTts({ voice, chars, latencyMs }) {
+      write({ kind: "tts", model: voice, ...emptyTokenUsage(), ttsChars: chars, latencyMs });
+    },
+  };
+}
+
+/**
+ * Estimated USD cost of one record, or null when its model has no price.
+ */
+function estimateCost(record, pricing) {
+  const price = pricing[record.model];
+  if (!price) return null;
+  if (record.kind === "tts") return ((record.ttsChars || 0) * (price.charsPerMillion || 0)) / 1e6;
+  return (
+    ((record.promptTokens || 0) * (price.inputPerMillion || 0) +
+      ((record.outputTokens || 0) + (record.thoughtsTokens || 0)) *
+        (price.outputPerMillion || 0)) /
+    1e6
+  );
+}
+
+function groupValue(record, dimension) {
+  switch (dimension) {
+    case "day":
+      return String(record.at || "").slice(0, 10);
+    case "course":
+      return (record.courseNames || []).join(", ") || UNATTRIBUTED;
+    case "cohort":
+      return (record.cohorts || []).join(", ") || UNATTRIBUTED;
+    case "student":
+      return record.studentEmail || UNATTRIBUTED;
+    default:
+      return record[dimension] || UNATTRIBUTED;
+  }
+}
+
+/**
+ * Parse a `groupBy` query value ("day,course,model"). Throws on unknown dimensions.
+ */
+function parseGroupBy(value) {
+  if (!value) return DEFAULT_GROUP_BY;
+  const dims = Array.from(new Set(String(value).split(",").map((d) => d.trim()).filter(Boolean)));
+  const unknown = dims.filter((d) => !GROUP_DIMENSIONS.includes(d));
+  if (unknown.length) {
+    throw Object.assign(
+      new Error(`Unknown groupBy ${unknown.join(", ")}. Use ${GROUP_DIMENSIONS.join(", ")}.`),
+      { status: 400 }
+    );
+  }
+  return dims.length ? dims : DEFAULT_GROUP_BY;
+}
+
+const roundCost = (usd) => (usd === null ? null : Math.round(usd * 1e6) / 1e6);
+
+/**
+ * Aggregate usage records. A session enrolled in several courses is reported
+ * under all of them together ("A, B"), so no call is counted twice.
+ *
+ * @param {object[]} records
+ * @param {object} [opts]
+ * @param {string[]} [opts.groupBy]
+ * @param {object} [opts.pricing]
+ * @returns {{ groupBy, rows, totals, unpricedModels }}
+ */
+function buildUsageReport(records, { groupBy = DEFAULT_GROUP_BY, pricing = loadPricing() } = {}) {
+  const groups = new Map();
+  const unpriced = new Set();
+  const emptyRow = () => ({
+    modelCalls: 0,
+    ttsCalls: 0,
+    ...emptyTokenUsage(),
+    ttsChars: 0,
+    latencyMs: 0,
+    estimatedCostUsd: 0,
+    students: new Set(),
+  });
+  const totals = emptyRow();
+
+  for (const r of records) {
+    const keyValues = groupBy.map((d) => groupValue(r, d));
+    const key = JSON.stringify(keyValues);
+    if (!groups.has(key)) groups.set(key, { keyValues, ...emptyRow() });
+
+    const cost = estimateCost(r, pricing);
+    if (cost === null) unpriced.add(r.model);
+    for (const row of [groups.get(key), totals]) {
+      row[r.kind === "tts" ? "ttsCalls" : "modelCalls"] += 1;
+      for (const field of SUMMED_FIELDS) row[field] += r[field] || 0;
+      row.latencyMs += r.latencyMs || 0;
+      row.estimatedCostUsd += cost || 0;
+      if (r.studentEmail) row.students.add(r.studentEmail);
+    }
+  }
+
+  const finish = ({ keyValues, students, latencyMs, estimatedCostUsd, ...row }) => {
+    const calls = row.modelCalls + row.ttsCalls;
+    return {
+      ...(keyValues && Object.fromEntries(groupBy.map((d, i) => [d, keyValues[i]]))),
+      ...row,
+      avgLatencyMs: calls ? Math.round(latencyMs / calls) : 0,
+      estimatedCostUsd: roundCost(estimatedCostUsd),
+      students: students.size,
+    };
+  };
+
+  const rows = Array.from(groups.values())
+    .map(finish)
+    .sort((a, b) => {
+      for (const d of groupBy) {
+        const cmp = String(a[d]).localeCompare(String(b[d]));
+        if (cmp) return cmp;
+      }
+      return 0;
+    });
+
+  return { groupBy, rows, totals: finish(totals), unpricedModels: Array.from(unpriced) };
+}
+
+// Spreadsheet apps run cells that start with these as formulas.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of a report's rows (header line first).
+ */
+function toUsageCsv({ groupBy, rows }) {
+  const columns = [
+    ...groupBy,
+    "modelCalls",
+    "ttsCalls",
+    "promptTokens",
+    "outputTokens",
+    "thoughtsTokens",
+    "totalTokens",
+    "ttsChars",
+    "avgLatencyMs",
+    "estimatedCostUsd",
+    "students",
+  ];
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  createUsageAccounting,
+  emptyTokenUsage,
+  addUsageMetadata,
+  parseGroupBy,
+  buildUsageReport,
+  toUsageCsv,
+};
@@ -0,0 +1,221 @@
+// usageLimits.js
+// Rate limits and daily quotas, so one looping client can't spend the Gemini and
+// TTS budget for everyone.
+//
+//   - Token buckets, one per WS session, per student email and per LMS API key.
+//     Each holds up to PER_MINUTE requests and refills at PER_MINUTE per minute.
+//   - Daily quotas per student (UTC day) for model calls (one per Gemini request
+//     made for the student, see server.js) and TTS characters. When the TTS quota is used up, replies
+//     still arrive, just without audio.
+//
+// A refused request gets `{ limit, retryAfterSeconds, message }`, and the server
+// turns it into a `rate_limited` error. State lives in this process's memory, so
+// on several instances each one enforces its own limits.
+//
+// ENV (0 turns a limit off):
+//   RATE_LIMIT_SESSION_PER_MINUTE=12
+//   RATE_LIMIT_STUDENT_PER_MINUTE=20
+//   RATE_LIMIT_API_KEY_PER_MINUTE=300
+//   DAILY_MODEL_CALLS_PER_STUDENT=300
+//   DAILY_TTS_CHARS_PER_STUDENT=100000
+
+const crypto = require("crypto");
+
+const envLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const DEFAULT_LIMITS = {
+  sessionPerMinute: envLimit("RATE_LIMIT_SESSION_PER_MINUTE", 12),
+  studentPerMinute: envLimit("RATE_LIMIT_STUDENT_PER_MINUTE", 20),
+  apiKeyPerMinute: envLimit("RATE_LIMIT_API_KEY_PER_MINUTE", 300),
+  modelCallsPerDay: envLimit("DAILY_MODEL_CALLS_PER_STUDENT", 300),
+  ttsCharsPerDay: envLimit("DAILY_TTS_CHARS_PER_STUDENT", 100000),
+};
+
+// daily counter → [limit name, quota setting]
+const DAILY_QUOTAS = {
+  modelCalls: ["model_calls_daily", "modelCallsPerDay"],
+  ttsChars: ["tts_chars_daily", "ttsCharsPerDay"],
+};
+
+const SWEEP_EVERY = 1000;
+
+/**
+ * Short, stable id for an API key, so usage reports never show the key itself.
+ */
+const keyFingerprint = (key) =>
+  crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 12);
+
+const utcDay = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+function secondsUntilUtcMidnight(ms) {
+  const next = new Date(ms);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - ms) / 1000));
+}
+
+/**
+ * Message for a refused request.
+ */
+function describeLimit(limit, retryAfterSeconds, limits) {
+  if (limit === "model_calls_daily") {
+    return (
+      `You've reached today's limit of ${limits.modelCallsPerDay} tutor requests. ` +
+      "It resets at midnight UTC."
+    );
+  }
+  if (limit === "tts_chars_daily") {
+    return "Today's voice limit is used up, so replies are text only until midnight UTC.";
+  }
+  const unit = retryAfterSeconds === 1 ? "second" : "seconds";
+  return `Too many requests. Try again in ${retryAfterSeconds} ${unit}.`;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.limits]  overrides for DEFAULT_LIMITS
+ * @param {function} [opts.now]   clock, for tests
+ */
+function createUsageLimiter({ limits: overrides = {}, now = () => Date.now() } = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...overrides };
+
+  // bucket key → { tokens, at, perMinute }
+  const buckets = new Map();
+  // one UTC day of counters: student → { modelCalls, ttsChars, requests, rateLimited }
+  let day = utcDay(now());
+  let students = new Map();
+  let apiKeys = new Map();
+  let takes = 0;
+
+  function rollDay() {
+    const today = utcDay(now());
+    if (today === day) return;
+    day = today;
+    students = new Map();
+    apiKeys = new Map();
+  }
+
+  const counters = (map, key) => {
+    if (!map.has(key)) map.set(key, { modelCalls: 0, ttsChars: 0, requests: 0, rateLimited: 0 });
+    return map.get(key);
+  };
+
+  // full buckets carry no state, so they can be dropped
+  function sweep(t) {
+    for (const [key, b] of buckets) {
+      if (b.tokens + ((t - b.at) / 60000) * b.perMinute >= b.perMinute) buckets.delete(key);
+    }
+  }
+
+  function refill(key, perMinute, t) {
+    const b = buckets.get(key) || { tokens: perMinute, at: t, perMinute };
+    b.tokens = Math.min(perMinute, b.tokens + ((t - b.at) / 60000) * perMinute);
+    b.at = t;
+    b.perMinute = perMinute;
+    buckets.set(key, b);
+    return b;
+  }
+
+  function refuse(limit, retryAfterSeconds) {
+    return { limit, retryAfterSeconds, message: describeLimit(limit, retryAfterSeconds, limits) };
+  }
+
+  return {
+    limits,
+
+    /**
+     * Take one request from every bucket that applies. Nothing is taken unless
+     * all of them have room.
+     *
+     * @param {object} who
+     * @param {string} [who.sessionId]
+     * @param {string} [who.studentEmail]
+     * @param {string} [who.apiKey]
+     * @returns {null|{ limit: string, retryAfterSeconds: number, message: string }}
+     */
+    hit({ sessionId, studentEmail, apiKey }) {
+      rollDay();
+      const t = now();
+      if (++takes % SWEEP_EVERY === 0) sweep(t);
+
+      const apiKeyId = apiKey ? keyFingerprint(apiKey) : null;
+      const checks = [
+        sessionId && ["session", `session:${sessionId}`, limits.sessionPerMinute],
+        studentEmail && ["student", `student:${studentEmail}`, limits.studentPerMinute],
+        apiKeyId && ["api_key", `apiKey:${apiKeyId}`, limits.apiKeyPerMinute],
+      ].filter((c) => c && c[2] > 0);
+
+      const owner = studentEmail
+        ? counters(students, studentEmail)
+        : apiKeyId
+        ? counters(apiKeys, apiKeyId)
+        : null;
+
+      const state = checks.map(([limit, key, perMinute]) => [limit, refill(key, perMinute, t)]);
+      const empty = state.find(([, b]) => b.tokens < 1);
+      if (empty) {
+        const [limit, b] = empty;
+        if (owner) owner.rateLimited += 1;
+        return refuse(limit, Math.max(1, Math.ceil(((1 - b.tokens) * 60) / b.perMinute)));
+      }
+
+      for (const [, b] of state) b.tokens -= 1;
+      if (owner) owner.requests += 1;
+      return null;
+    },
+
+    /**
+     * Spend from a student's daily quota ("modelCalls" or "ttsChars"). Nothing is
+     * spent when the amount doesn't fit.
+     *
+     * @returns {null|{ limit: string, retryAfterSeconds: number, message: string }}
+     */
+    spend(studentEmail, counter, amount = 1) {
+      rollDay();
+      const [limit, setting] = DAILY_QUOTAS[counter];
+      const quota = limits[setting];
+      const usage = counters(students, studentEmail);
+
+      if (quota > 0 && usage[counter] + amount > quota) {
+        usage.rateLimited += 1;
+        return refuse(limit, secondsUntilUtcMidnight(now()));
+      }
+      usage[counter] += amount;
+      return null;
+    },
+
+    /**
+     * Today's counters, busiest students first.
+     *
+     * @param {object} [opts]
+     * @param {string} [opts.studentEmail]
+     * @param {number} [opts.limit]
+     */
+    usage({ studentEmail, limit = 100 } = {}) {
+      rollDay();
+      const rows = (map, idField) =>
+        Array.from(map, ([id, c]) => ({ [idField]: id, ...c }))
+          .filter((r) => idField !== "studentEmail" || !studentEmail || r[idField] === studentEmail)
+          .sort((a, b) => b.modelCalls - a.modelCalls || b.requests - a.requests)
+          .slice(0, limit);
+
+      return {
+        date: day,
+        resetsInSeconds: secondsUntilUtcMidnight(now()),
+        limits,
+        students: rows(students, "studentEmail"),
+        apiKeys: rows(apiKeys, "apiKey").map(({ apiKey, requests, rateLimited }) => ({
+          apiKey,
+          requests,
+          rateLimited,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = {
+  createUsageLimiter,
+};